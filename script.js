@@ -3,346 +3,4892 @@
  * 遵循Apple/Google设计标准的单页应用架构
  */
 
+/**
+ * 应用配置
+ */
+const APP_CONFIG = {
+  routing: {
+    // 'history'：干净URL（/about），静态托管上依赖 404.html 重定向后恢复
+    // 'hash'：哈希URL（/#/about），无需服务器配置即可刷新
+    mode: 'history'
+  },
+  content: {
+    // 页面内容文件（JSON / Markdown）所在目录
+    baseUrl: '/content/'
+  },
+  github: {
+    // 在项目页展示公开仓库动态
+    enabled: true,
+    username: 'birtney666',
+    // 测试时可指向本地桩服务，例如 'http://localhost:8787'
+    apiBaseUrl: 'https://api.github.com',
+    cacheTTL: 30 * 60 * 1000,
+    limit: 6
+  },
+  contact: {
+    // 投递方式：'mailto' 打开访客的邮件客户端；'endpoint' 以 JSON POST 到表单后端
+    transport: 'mailto',
+    email: 'contact@example.com',
+    // transport 为 'endpoint' 时使用，例如 'https://formspree.io/f/<form-id>'
+    endpoint: '',
+    // 客户端频率限制：时间窗口内最多成功提交的次数
+    rateLimit: {
+      max: 3,
+      window: 60 * 60 * 1000
+    },
+    draftKey: 'contact-draft',
+    submissionsKey: 'contact-submissions'
+  },
+  i18n: {
+    locales: ['zh-CN', 'en'],
+    // 默认语言的URL不带前缀，其余语言使用 /en/projects 形式
+    defaultLocale: 'zh-CN',
+    // 浏览器语言均不受支持时使用
+    fallbackLocale: 'en',
+    storageKey: 'locale'
+  },
+  theme: {
+    // 需与 index.html 中首次绘制前执行的主题脚本保持一致
+    storageKey: 'theme',
+    // 各主题对应的浏览器界面颜色（meta theme-color）
+    colors: {
+      light: '#ffffff',
+      dark: '#0a0a0a'
+    }
+  },
+  navigation: {
+    // 加载超过该时长（毫秒）才显示顶部进度条
+    progressDelay: 200,
+    // 各历史记录的滚动位置保存在 sessionStorage 中，刷新后仍可恢复
+    scrollStorageKey: 'scroll-positions'
+  },
+  serviceWorker: {
+    // 离线支持与更新提示，见 sw.js
+    enabled: true,
+    url: '/sw.js'
+  },
+  seo: {
+    // 规范链接、Open Graph 与结构化数据使用的正式站点地址
+    siteUrl: 'https://birtne.github.io',
+    siteName: 'Birtney666',
+    // 页面未声明图片时使用的分享图
+    image: '/images/og-image.svg',
+    twitterCard: 'summary_large_image'
+  },
+  analytics: {
+    // 统计适配器：'ga4'、'plausible'、'console'（开发调试，仅输出到控制台）或 'none'（关闭）
+    adapter: 'none',
+    ga4: {
+      measurementId: ''
+    },
+    plausible: {
+      endpoint: 'https://plausible.io/api/event',
+      domain: 'birtne.github.io'
+    },
+    // 访客的同意结果保存在 localStorage 中
+    consentKey: 'analytics-consent',
+    // 浏览器开启“请勿跟踪”时不加载统计，也不显示同意提示
+    respectDoNotTrack: true
+  },
+  errorReporting: {
+    enabled: true,
+    // 接收错误报告的地址，留空则不上报；本地调试可运行 node scripts/error-collector.js 并填写 http://localhost:8787/errors
+    endpoint: '',
+    // 攒批发送的间隔（毫秒）与每批最多条数
+    flushInterval: 5000,
+    maxBatch: 10,
+    // 随报告附带的最近导航记录条数
+    maxBreadcrumbs: 20,
+    // 单次访问最多上报的不同错误数
+    maxReports: 50
+  },
+  performance: {
+    // 指标输出端：'console'、'analytics'（作为统计事件上报，需访客同意）、'beacon'（发送到 beacon.endpoint）、
+    // 'none'（只在调试面板中显示），也可以是自定义的 (options, context) => { metric, navigation } 函数
+    sink: 'none',
+    beacon: {
+      endpoint: ''
+    },
+    // 地址带 ?debug=1 时显示性能调试面板，?debug=0 关闭；选择在本次会话中保持
+    debugParam: 'debug',
+    debugStorageKey: 'debug-panel',
+    // 调试面板保留的页面切换记录条数
+    maxNavigations: 10
+  }
+};
+
+/**
+ * 界面文案目录，按语言区域划分；键名使用点号分隔的命名空间
+ * 页面正文等长文案位于 content/ 目录（非默认语言放在 content/<locale>/ 下）
+ */
+const MESSAGES = {
+  'zh-CN': {
+    locale: {
+      name: '中文',
+      switchTo: 'EN',
+      switchLabel: 'Switch to English'
+    },
+    a11y: {
+      skipToContent: '跳到主要内容',
+      pageLoaded: '已打开页面：{title}'
+    },
+    section: {
+      link: '链接到“{title}”'
+    },
+    palette: {
+      open: '搜索（Ctrl+K）',
+      label: '命令面板',
+      placeholder: '搜索页面、项目、文章或命令...',
+      results: '搜索结果',
+      loading: '正在加载...',
+      empty: '没有找到匹配的结果',
+      count: '{count} 个结果',
+      hintMove: '选择',
+      hintOpen: '打开',
+      hintClose: '关闭',
+      projectTag: '筛选项目',
+      blogTag: '博客标签',
+      copied: '已复制邮箱：{email}',
+      copyFailed: '无法访问剪贴板，邮箱为：{email}',
+      groups: {
+        pages: '页面',
+        projects: '项目',
+        posts: '文章',
+        tags: '标签',
+        headings: '章节',
+        actions: '命令'
+      },
+      actions: {
+        copyEmail: '复制邮箱地址',
+        toggleMenu: '切换导航菜单',
+        cycleTheme: '切换主题',
+        analytics: '访问统计设置'
+      }
+    },
+    theme: {
+      light: '浅色',
+      dark: '深色',
+      system: '跟随系统',
+      toggleLabel: '切换主题（当前：{theme}）'
+    },
+    nav: {
+      label: '主导航',
+      brandLabel: '返回首页',
+      toggleMenu: '切换导航菜单',
+      home: '首页',
+      about: '关于',
+      projects: '项目',
+      contact: '联系',
+      blog: '博客',
+      resume: '简历'
+    },
+    titles: {
+      home: 'Birtney666 - 开发者 & 创造者',
+      about: '关于我 - Birtney666',
+      resume: '个人简历 - Birtney666',
+      projects: '我的项目 - Birtney666',
+      project: '{title} - 我的项目 - Birtney666',
+      contact: '联系我 - Birtney666',
+      blog: '博客 - Birtney666',
+      blogTag: '标签：{tag} - 博客 - Birtney666',
+      blogPost: '{title} - 博客 - Birtney666',
+      notFound: '页面未找到 - Birtney666'
+    },
+    home: {
+      subtitle: '开发者 & 创造者',
+      intro: '专注于创造优雅的数字解决方案和令人惊叹的用户体验，用技术连接想象与现实。',
+      viewProjects: '查看项目',
+      contactMe: '联系我',
+      capabilitiesTitle: '核心能力',
+      capabilitiesSubtitle: '专业技能与创新思维的完美结合',
+      frontendTitle: '前端开发',
+      frontendDescription: '精通现代前端技术栈，创造优秀的用户界面和交互体验。',
+      backendTitle: '后端架构',
+      backendDescription: '构建高性能、可扩展的服务器端应用和微服务架构。',
+      uxTitle: '用户体验',
+      uxDescription: '以用户为中心的设计思维，创造直观且令人愉悦的产品体验。',
+      prototyping: '原型设计'
+    },
+    github: {
+      title: '开源仓库',
+      subtitle: '来自 GitHub 的最新动态',
+      loading: '正在获取仓库列表…',
+      empty: '暂无公开仓库，',
+      visitProfile: '访问 GitHub 主页',
+      visitProfileDirect: '直接访问 GitHub 主页',
+      stale: '当前无法连接 GitHub，以下为缓存数据',
+      offline: '当前处于离线状态，暂时无法获取 GitHub 仓库。',
+      rateLimited: 'GitHub API 请求次数已达上限，请稍后再试。',
+      unavailable: '暂时无法获取 GitHub 仓库。',
+      noDescription: '暂无描述',
+      stars: '{count} 个星标',
+      updated: '{time}更新'
+    },
+    projectFilter: {
+      searchLabel: '搜索项目',
+      searchPlaceholder: '搜索项目名称或描述...',
+      sortLabel: '排序',
+      sorts: {
+        featured: '推荐',
+        newest: '最新',
+        title: '名称'
+      },
+      tagsLabel: '按技术标签筛选',
+      matchLabel: '标签匹配方式',
+      match: {
+        any: '任一标签',
+        all: '全部标签'
+      },
+      count: '显示 {count} / {total} 个项目',
+      emptyTitle: '没有匹配的项目',
+      emptyText: '换个关键词，或减少选中的标签试试。',
+      clear: '清除筛选'
+    },
+    project: {
+      back: '返回项目列表',
+      overview: '项目介绍',
+      info: '项目信息',
+      role: '角色',
+      timeline: '时间',
+      stack: '技术栈'
+    },
+    blog: {
+      title: '博客',
+      subtitle: '记录技术实践、设计思考与成长心得',
+      allPosts: '全部文章',
+      postCount: '共 {count} 篇文章',
+      readingTime: '约 {minutes} 分钟阅读',
+      navLabel: '文章导航',
+      previous: '上一篇',
+      next: '下一篇',
+      backToList: '返回文章列表'
+    },
+    about: {
+      skillLevel: '{name}：{level}%'
+    },
+    resume: {
+      view: '查看简历',
+      actionsLabel: '简历操作',
+      print: '打印 / 导出 PDF',
+      downloadJson: '下载 JSON',
+      downloadText: '下载纯文本',
+      summary: '个人简介',
+      work: '工作经历',
+      education: '教育背景',
+      courses: '主要课程：{courses}',
+      skills: '专业技能',
+      certificates: '证书认证',
+      languages: '语言能力',
+      present: '至今'
+    },
+    contactForm: {
+      name: '姓名',
+      namePlaceholder: '您的姓名',
+      email: '邮箱',
+      emailPlaceholder: 'your@email.com',
+      subject: '主题',
+      subjectPlaceholder: '消息主题',
+      message: '消息',
+      messagePlaceholder: '请输入您的消息...',
+      submit: '发送消息',
+      submitting: '发送中...',
+      sent: '已发送',
+      leaveConfirm: '消息仍在发送中，确定要离开此页面吗？',
+      errors: {
+        required: '请填写{field}',
+        email: '请输入有效的邮箱地址',
+        tooShort: '{field}至少需要 {min} 个字符'
+      },
+      status: {
+        success: '消息已发送，感谢您的来信！我会尽快回复。',
+        mailto: '已在邮件客户端中打开草稿，发送后我会尽快回复。',
+        error: '发送失败，请稍后重试或直接发送邮件。',
+        rateLimited: '发送过于频繁，请 {minutes} 分钟后再试。'
+      }
+    },
+    notFound: {
+      subtitle: '页面未找到',
+      message: '抱歉，您访问的页面不存在或已被移动。',
+      backHome: '返回首页'
+    },
+    seo: {
+      ogLocale: 'zh_CN',
+      home: 'Birtney666 - 专业开发者，专注于创造优雅的数字解决方案和用户体验',
+      about: '了解 Birtney666 的技术之旅、创造理念与技术栈。',
+      resume: 'Birtney666 的个人简历：工作经历、教育背景、专业技能与证书。',
+      projects: 'Birtney666 的项目作品集：企业应用、数据可视化、设计系统与开发者工具。',
+      contact: '与 Birtney666 取得联系，洽谈合作、项目咨询或技术交流。',
+      blog: 'Birtney666 的技术博客，记录前端架构、CSS 与 Web 平台实践。',
+      blogTag: '博客中标记为“{tag}”的文章。',
+      notFound: '您访问的页面不存在或已被移动。'
+    },
+    error: {
+      title: '出错了',
+      message: '页面加载失败，请检查网络后重试',
+      retry: '重试此页面',
+      backHome: '返回首页',
+      offlineTitle: '当前处于离线状态',
+      offlineMessage: '此页面尚未缓存，请连接网络后重试。浏览过的页面可以离线访问。'
+    },
+    update: {
+      available: '网站有新版本可用',
+      reload: '刷新',
+      dismiss: '稍后再说'
+    },
+    consent: {
+      label: '访问统计',
+      message: '本站希望使用匿名访问统计来了解哪些内容更受欢迎。是否允许？',
+      accept: '允许',
+      decline: '拒绝'
+    },
+    debug: {
+      title: '性能调试',
+      close: '关闭性能调试面板',
+      route: '当前路由',
+      observers: '观察者',
+      hooks: '钩子订阅',
+      lastNavigation: '最近一次页面切换',
+      handle: '调试句柄'
+    },
+    footer: {
+      tagline: '致力于创造优雅的数字产品，用技术改变世界。',
+      email: '邮箱',
+      quickLinks: '快速链接',
+      home: '首页',
+      about: '关于我',
+      resume: '个人简历',
+      projects: '项目展示',
+      contact: '联系方式',
+      blog: '博客文章',
+      expertise: '技术专长',
+      frontend: '前端开发',
+      backend: '后端架构',
+      fullstack: '全栈解决方案',
+      ux: '用户体验设计',
+      contactTitle: '联系方式',
+      location: '📍 中国',
+      availability: '💼 开放合作机会',
+      copyright: '© 2024 Birtney666. 保留所有权利。'
+    }
+  },
+  en: {
+    locale: {
+      name: 'English',
+      switchTo: '中文',
+      switchLabel: '切换到中文'
+    },
+    a11y: {
+      skipToContent: 'Skip to main content',
+      pageLoaded: 'Page loaded: {title}'
+    },
+    section: {
+      link: 'Link to “{title}”'
+    },
+    palette: {
+      open: 'Search (Ctrl+K)',
+      label: 'Command palette',
+      placeholder: 'Search pages, projects, posts or commands...',
+      results: 'Search results',
+      loading: 'Loading...',
+      empty: 'No matching results',
+      count: '{count} results',
+      hintMove: 'Select',
+      hintOpen: 'Open',
+      hintClose: 'Close',
+      projectTag: 'Filter projects',
+      blogTag: 'Blog tag',
+      copied: 'Email copied: {email}',
+      copyFailed: 'Clipboard unavailable. The email is {email}',
+      groups: {
+        pages: 'Pages',
+        projects: 'Projects',
+        posts: 'Posts',
+        tags: 'Tags',
+        headings: 'Sections',
+        actions: 'Commands'
+      },
+      actions: {
+        copyEmail: 'Copy email address',
+        toggleMenu: 'Toggle navigation menu',
+        cycleTheme: 'Switch theme',
+        analytics: 'Analytics preferences'
+      }
+    },
+    theme: {
+      light: 'Light',
+      dark: 'Dark',
+      system: 'System',
+      toggleLabel: 'Switch theme (current: {theme})'
+    },
+    nav: {
+      label: 'Main navigation',
+      brandLabel: 'Back to home',
+      toggleMenu: 'Toggle navigation menu',
+      home: 'Home',
+      about: 'About',
+      projects: 'Projects',
+      contact: 'Contact',
+      blog: 'Blog',
+      resume: 'Résumé'
+    },
+    titles: {
+      home: 'Birtney666 - Developer & Creator',
+      about: 'About - Birtney666',
+      resume: 'Résumé - Birtney666',
+      projects: 'Projects - Birtney666',
+      project: '{title} - Projects - Birtney666',
+      contact: 'Contact - Birtney666',
+      blog: 'Blog - Birtney666',
+      blogTag: 'Tag: {tag} - Blog - Birtney666',
+      blogPost: '{title} - Blog - Birtney666',
+      notFound: 'Page Not Found - Birtney666'
+    },
+    home: {
+      subtitle: 'Developer & Creator',
+      intro: 'Crafting elegant digital solutions and delightful user experiences, connecting imagination and reality through technology.',
+      viewProjects: 'View Projects',
+      contactMe: 'Get in Touch',
+      capabilitiesTitle: 'Core Capabilities',
+      capabilitiesSubtitle: 'Where professional skills meet creative thinking',
+      frontendTitle: 'Frontend Development',
+      frontendDescription: 'Deep expertise in the modern frontend stack, building polished interfaces and interactions.',
+      backendTitle: 'Backend Architecture',
+      backendDescription: 'Designing high-performance, scalable server applications and microservices.',
+      uxTitle: 'User Experience',
+      uxDescription: 'Human-centered design thinking for intuitive and delightful products.',
+      prototyping: 'Prototyping'
+    },
+    github: {
+      title: 'Open Source',
+      subtitle: 'Latest activity from GitHub',
+      loading: 'Loading repositories…',
+      empty: 'No public repositories yet. ',
+      visitProfile: 'Visit GitHub profile',
+      visitProfileDirect: 'Visit the GitHub profile directly',
+      stale: 'GitHub is unreachable right now, showing cached data',
+      offline: 'You are offline, so GitHub repositories cannot be loaded.',
+      rateLimited: 'The GitHub API rate limit has been reached, please try again later.',
+      unavailable: 'GitHub repositories are temporarily unavailable.',
+      noDescription: 'No description',
+      stars: '{count} stars',
+      updated: 'Updated {time}'
+    },
+    projectFilter: {
+      searchLabel: 'Search projects',
+      searchPlaceholder: 'Search by name or description...',
+      sortLabel: 'Sort',
+      sorts: {
+        featured: 'Featured',
+        newest: 'Newest',
+        title: 'Name'
+      },
+      tagsLabel: 'Filter by technology',
+      matchLabel: 'Tag matching',
+      match: {
+        any: 'Any tag',
+        all: 'All tags'
+      },
+      count: 'Showing {count} of {total} projects',
+      emptyTitle: 'No matching projects',
+      emptyText: 'Try another keyword or fewer tags.',
+      clear: 'Clear filters'
+    },
+    project: {
+      back: 'Back to projects',
+      overview: 'Overview',
+      info: 'Project Details',
+      role: 'Role',
+      timeline: 'Timeline',
+      stack: 'Tech Stack'
+    },
+    blog: {
+      title: 'Blog',
+      subtitle: 'Notes on engineering practice, design and growth',
+      allPosts: 'All posts',
+      postCount: '{count} posts',
+      readingTime: '{minutes} min read',
+      navLabel: 'Post navigation',
+      previous: 'Previous',
+      next: 'Next',
+      backToList: 'Back to all posts'
+    },
+    about: {
+      skillLevel: '{name}: {level}%'
+    },
+    resume: {
+      view: 'View résumé',
+      actionsLabel: 'Résumé actions',
+      print: 'Print / Save as PDF',
+      downloadJson: 'Download JSON',
+      downloadText: 'Download plain text',
+      summary: 'Summary',
+      work: 'Work Experience',
+      education: 'Education',
+      courses: 'Courses: {courses}',
+      skills: 'Skills',
+      certificates: 'Certifications',
+      languages: 'Languages',
+      present: 'Present'
+    },
+    contactForm: {
+      name: 'Name',
+      namePlaceholder: 'Your name',
+      email: 'Email',
+      emailPlaceholder: 'your@email.com',
+      subject: 'Subject',
+      subjectPlaceholder: 'Message subject',
+      message: 'Message',
+      messagePlaceholder: 'Type your message...',
+      submit: 'Send Message',
+      submitting: 'Sending...',
+      sent: 'Sent',
+      leaveConfirm: 'Your message is still being sent. Leave this page anyway?',
+      errors: {
+        required: '{field} is required',
+        email: 'Please enter a valid email address',
+        tooShort: '{field} must be at least {min} characters'
+      },
+      status: {
+        success: 'Message sent — thanks for reaching out! I will reply soon.',
+        mailto: 'A draft has been opened in your email app. I will reply once it arrives.',
+        error: 'Sending failed. Please try again later or email me directly.',
+        rateLimited: 'Too many messages. Please try again in {minutes} minutes.'
+      }
+    },
+    notFound: {
+      subtitle: 'Page not found',
+      message: 'Sorry, the page you are looking for does not exist or has been moved.',
+      backHome: 'Back to home'
+    },
+    seo: {
+      ogLocale: 'en_US',
+      home: 'Birtney666 - a developer crafting elegant digital solutions and delightful user experiences.',
+      about: 'Learn about Birtney666\'s journey, design philosophy and tech stack.',
+      resume: 'Résumé of Birtney666: work experience, education, skills and certifications.',
+      projects: 'Portfolio of Birtney666: enterprise apps, data visualization, design systems and developer tools.',
+      contact: 'Get in touch with Birtney666 about collaboration, project inquiries or tech chats.',
+      blog: 'Birtney666\'s blog on front-end architecture, CSS and the web platform.',
+      blogTag: 'Blog posts tagged “{tag}”.',
+      notFound: 'The page you are looking for does not exist or has been moved.'
+    },
+    error: {
+      title: 'Something went wrong',
+      message: 'The page failed to load. Please check your connection and try again.',
+      retry: 'Retry this page',
+      backHome: 'Back to home',
+      offlineTitle: 'You are offline',
+      offlineMessage: 'This page has not been cached yet. Reconnect and try again — pages you have visited are available offline.'
+    },
+    update: {
+      available: 'A new version of this site is available',
+      reload: 'Reload',
+      dismiss: 'Not now'
+    },
+    consent: {
+      label: 'Analytics',
+      message: 'This site would like to use anonymous analytics to learn which content is most useful. Do you allow it?',
+      accept: 'Allow',
+      decline: 'Decline'
+    },
+    debug: {
+      title: 'Performance',
+      close: 'Close performance panel',
+      route: 'Route',
+      observers: 'Observers',
+      hooks: 'Hook subscribers',
+      lastNavigation: 'Last navigation',
+      handle: 'Debug handle'
+    },
+    footer: {
+      tagline: 'Building elegant digital products and changing the world with technology.',
+      email: 'Email',
+      quickLinks: 'Quick Links',
+      home: 'Home',
+      about: 'About Me',
+      resume: 'Résumé',
+      projects: 'Projects',
+      contact: 'Contact',
+      blog: 'Blog',
+      expertise: 'Expertise',
+      frontend: 'Frontend Development',
+      backend: 'Backend Architecture',
+      fullstack: 'Full-stack Solutions',
+      ux: 'User Experience Design',
+      contactTitle: 'Contact',
+      location: '📍 China',
+      availability: '💼 Open to collaboration',
+      copyright: '© 2024 Birtney666. All rights reserved.'
+    }
+  }
+};
+
+/**
+ * 声明式路由器
+ * 将路由表中的路径模式（如 /projects/:slug）编译为正则，负责URL解析与生成
+ */
+class Router {
+  constructor(routes, notFound) {
+    this.routes = routes.map(route => ({ ...route, ...Router.compile(route.path) }));
+    this.notFound = notFound;
+  }
+
+  /**
+   * 编译路径模式
+   */
+  static compile(path) {
+    const keys = [];
+    const source = path
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          keys.push(segment.slice(1));
+          return '/([^/]+)';
+        }
+        return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return { keys, pattern: new RegExp(`^${source || '/'}$`) };
+  }
+
+  /**
+   * 规范化路径：去除 index.html、.html 后缀和末尾斜杠
+   */
+  static normalize(pathname) {
+    const path = pathname
+      .replace(/\/index\.html$/, '/')
+      .replace(/\.html$/, '')
+      .replace(/\/+$/, '');
+    return path || '/';
+  }
+
+  /**
+   * 按名称查找路由
+   */
+  get(name) {
+    return this.routes.find(route => route.name === name) || null;
+  }
+
+  /**
+   * 将路径解析为路由及参数，未匹配时返回404路由
+   * 参数的百分号编码不合法（如 /projects/%E0%A4%A）时视为不匹配
+   */
+  match(pathname) {
+    const path = Router.normalize(pathname);
+
+    for (const route of this.routes) {
+      const result = route.pattern.exec(path);
+      if (!result) continue;
+
+      const params = {};
+      try {
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(result[index + 1]);
+        });
+      } catch (error) {
+        continue;
+      }
+      return { route, params, path };
+    }
+
+    return { route: this.notFound, params: {}, path };
+  }
+
+  /**
+   * 根据路由名称和参数生成路径
+   */
+  buildPath(name, params = {}) {
+    const route = this.get(name);
+    if (!route) return null;
+
+    return route.path.replace(/:([^/]+)/g, (_, key) => {
+      if (params[key] === undefined) {
+        throw new Error(`Missing route param "${key}" for route "${name}"`);
+      }
+      return encodeURIComponent(params[key]);
+    });
+  }
+}
+
+/**
+ * 转义HTML特殊字符
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 已确认安全的 HTML 片段，插入 html`` 模板时不再转义
+ */
+class SafeHTML {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * HTML 模板标签：插值默认转义；SafeHTML 片段原样插入，数组逐项拼接，
+ * null / undefined / false 不输出，便于书写 ${condition && html`...`}
+ */
+function html(strings, ...values) {
+  return new SafeHTML(strings.reduce((markup, string, index) => markup + renderHTMLValue(values[index - 1]) + string));
+}
+
+/**
+ * 将单个插值转换为 HTML 文本
+ */
+function renderHTMLValue(value) {
+  if (value instanceof SafeHTML) return value.markup;
+  if (Array.isArray(value)) return value.map(renderHTMLValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHTML(value);
+}
+
+/**
+ * 显式标记可信的 HTML（如 Markdown 渲染结果），原样插入模板
+ */
+function trusted(markup) {
+  return new SafeHTML(String(markup));
+}
+
+/**
+ * 条件属性：true 输出布尔属性，false / null / undefined 省略，其余输出转义后的 name="value"
+ * 例如 html`<option ${attrs({ value, selected: value === current })}>`
+ */
+function attrs(attributes) {
+  return new SafeHTML(Object.entries(attributes)
+    .filter(([, value]) => value !== false && value !== null && value !== undefined)
+    .map(([name, value]) => (value === true ? name : `${name}="${escapeHTML(value)}"`))
+    .join(' '));
+}
+
+/**
+ * 过滤内容中的链接地址：只允许 http(s)、mailto 与站内相对地址，其余（如 javascript:）替换为 #
+ */
+function safeURL(url) {
+  const value = String(url).trim();
+  const scheme = /^([a-z][a-z\d+.-]*):/i.exec(value);
+  return !scheme || /^(https?|mailto)$/i.test(scheme[1]) ? value : '#';
+}
+
+/**
+ * 将 target 的内容更新为 markup，尽量复用现有节点：
+ * 同类节点原地同步属性与文本并递归比较子节点，其余节点整体替换。
+ * 带 data-replace 的元素（挂载了事件监听的区域）总是整体替换，避免沿用旧的绑定
+ */
+function patchDOM(target, markup) {
+  const template = target.ownerDocument.createElement('template');
+  template.innerHTML = String(markup);
+  patchChildren(target, template.content);
+}
+
+/**
+ * 逐个比较子节点
+ */
+function patchChildren(parent, source) {
+  const current = Array.from(parent.childNodes);
+  const next = Array.from(source.childNodes);
+
+  next.forEach((node, index) => {
+    const existing = current[index];
+    if (!existing) {
+      parent.appendChild(node);
+    } else if (isPatchable(existing, node)) {
+      patchNode(existing, node);
+    } else {
+      parent.replaceChild(node, existing);
+    }
+  });
+  current.slice(next.length).forEach(node => node.remove());
+}
+
+/**
+ * 节点能否原地更新
+ */
+function isPatchable(existing, node) {
+  if (existing.nodeType !== node.nodeType || existing.nodeName !== node.nodeName) return false;
+  if (existing.nodeType !== existing.ELEMENT_NODE) return true;
+  return !existing.hasAttribute('data-replace') && !node.hasAttribute('data-replace');
+}
+
+/**
+ * 同步单个节点的文本或属性，再递归子节点
+ */
+function patchNode(existing, node) {
+  if (existing.nodeType !== existing.ELEMENT_NODE) {
+    if (existing.nodeValue !== node.nodeValue) {
+      existing.nodeValue = node.nodeValue;
+    }
+    return;
+  }
+
+  Array.from(existing.attributes).forEach(({ name }) => {
+    if (!node.hasAttribute(name)) existing.removeAttribute(name);
+  });
+  Array.from(node.attributes).forEach(({ name, value }) => {
+    if (existing.getAttribute(name) !== value) existing.setAttribute(name, value);
+  });
+  patchChildren(existing, node);
+}
+
+/**
+ * 将标题文本转换为锚点 id：保留各语言的字母与数字，空白替换为连字符
+ */
+function slugify(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * 创建中止错误，与 fetch 被中止时抛出的错误一致
+ */
+function createAbortError() {
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * 等待 Promise，signal 中止时立即以 AbortError 拒绝
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 可中止的延时
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * 深度合并配置：普通对象逐层合并，数组与其他值直接覆盖，不修改 base
+ */
+function mergeConfig(base, overrides) {
+  const isObject = value => Object.prototype.toString.call(value) === '[object Object]';
+  const merged = { ...base };
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * 国际化
+ * 负责语言区域检测、偏好持久化与文案查找；缺失的键回退到默认语言
+ */
+class I18n {
+  constructor({ locales, defaultLocale, fallbackLocale, storageKey }, messages) {
+    this.locales = locales;
+    this.defaultLocale = defaultLocale;
+    this.fallbackLocale = fallbackLocale;
+    this.storageKey = storageKey;
+    this.messages = messages;
+    this.locale = defaultLocale;
+  }
+
+  /**
+   * 获取文案，{name} 形式的占位符由 vars 替换
+   */
+  t(key, vars = {}) {
+    const lookup = locale => key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.messages[locale]);
+    const message = lookup(this.locale) ?? lookup(this.defaultLocale) ?? key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? vars[name] : match));
+  }
+
+  /**
+   * 将语言标签匹配到受支持的语言区域
+   */
+  match(tag) {
+    if (!tag) return null;
+    const lower = tag.toLowerCase();
+    return this.locales.find(locale => locale.toLowerCase() === lower)
+      || this.locales.find(locale => locale.split('-')[0].toLowerCase() === lower.split('-')[0])
+      || null;
+  }
+
+  /**
+   * 确定初始语言：已保存的选择优先，其次是浏览器语言
+   */
+  detect({ languages, language } = navigator) {
+    const saved = this.readPreference();
+    if (saved) return saved;
+
+    for (const candidate of languages && languages.length ? languages : [language]) {
+      const locale = this.match(candidate);
+      if (locale) return locale;
+    }
+    return this.fallbackLocale;
+  }
+
+  /**
+   * 读取保存的语言选择
+   */
+  readPreference() {
+    try {
+      return this.match(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 保存语言选择
+   */
+  savePreference(locale) {
+    try {
+      localStorage.setItem(this.storageKey, locale);
+    } catch (error) {
+      // 存储不可用时仅在当前会话生效
+    }
+  }
+}
+
+/**
+ * 主题管理
+ * 偏好分为 light、dark、system 三种，解析后的主题写入 <html data-theme>；
+ * 偏好为 system 时响应 prefers-color-scheme 的变化
+ */
+class ThemeManager {
+  constructor({ storageKey, colors }, onChange, view = typeof window !== 'undefined' ? window : null) {
+    this.storageKey = storageKey;
+    this.colors = colors;
+    this.onChange = onChange;
+    this.view = view;
+    this.media = view && view.matchMedia ? view.matchMedia('(prefers-color-scheme: dark)') : null;
+    this.preference = this.readPreference();
+
+    this.handleSystemChange = this.handleSystemChange.bind(this);
+  }
+
+  /**
+   * 应用当前主题并开始监听系统配色变化
+   */
+  watch() {
+    if (this.media) {
+      this.media.addEventListener('change', this.handleSystemChange);
+    }
+    this.apply();
+  }
+
+  /**
+   * 停止监听系统配色变化
+   */
+  unwatch() {
+    if (this.media) {
+      this.media.removeEventListener('change', this.handleSystemChange);
+    }
+  }
+
+  /**
+   * 系统配色变化时，仅在跟随系统的情况下重新应用
+   */
+  handleSystemChange() {
+    if (this.preference === 'system') {
+      this.apply();
+    }
+  }
+
+  /**
+   * 将偏好解析为实际主题
+   */
+  resolve() {
+    if (this.preference !== 'system') return this.preference;
+    return this.media && this.media.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * 应用主题
+   */
+  apply() {
+    const theme = this.resolve();
+    const { document } = this.view;
+    document.documentElement.dataset.theme = theme;
+
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+      themeColor.setAttribute('content', this.colors[theme]);
+    }
+
+    if (this.onChange) {
+      this.onChange(theme, this.preference);
+    }
+  }
+
+  /**
+   * 设置并保存主题偏好
+   */
+  set(preference) {
+    this.preference = preference;
+    try {
+      localStorage.setItem(this.storageKey, preference);
+    } catch (error) {
+      // 存储不可用时仅在当前会话生效
+    }
+    this.apply();
+  }
+
+  /**
+   * 按 浅色 → 深色 → 跟随系统 的顺序获取下一个偏好
+   */
+  next() {
+    const preferences = ThemeManager.preferences;
+    return preferences[(preferences.indexOf(this.preference) + 1) % preferences.length];
+  }
+
+  /**
+   * 读取保存的主题偏好
+   */
+  readPreference() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return ThemeManager.preferences.includes(saved) ? saved : 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+}
+
+ThemeManager.preferences = ['light', 'dark', 'system'];
+
+/**
+ * 轻量级Markdown转换器
+ * 支持front matter、标题、段落、列表、引用、代码块及常用行内语法；所有文本均先转义
+ */
+class Markdown {
+  /**
+   * 解析front matter（YAML子集：key: value 与 key: [a, b]）
+   */
+  static parseFrontMatter(source) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+    if (!match) return { attributes: {}, body: source };
+
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+      if (pair) {
+        attributes[pair[1]] = Markdown.parseValue(pair[2].trim());
+      }
+    });
+
+    return { attributes, body: source.slice(match[0].length) };
+  }
+
+  /**
+   * 解析front matter中的单个值
+   */
+  static parseValue(value) {
+    if (/^\[.*\]$/.test(value)) {
+      return value.slice(1, -1)
+        .split(',')
+        .map(item => Markdown.parseValue(item.trim()))
+        .filter(item => item !== '');
+    }
+    if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+  }
+
+  /**
+   * 将Markdown正文转换为HTML
+   */
+  static toHTML(source) {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let index = 0;
+
+    const isBlockStart = line => /^(```|#{1,6}\s|>|\s*([-*+]|\d+\.)\s+)/.test(line) || Markdown.isRule(line);
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      // 代码块
+      const fence = /^```\s*([\w+-]*)/.exec(line);
+      if (fence) {
+        const code = [];
+        index++;
+        while (index < lines.length && !/^```/.test(lines[index])) {
+          code.push(lines[index]);
+          index++;
+        }
+        index++;
+        html.push(Markdown.renderCode(code.join('\n'), fence[1]));
+        continue;
+      }
+
+      // 空行
+      if (!line.trim()) {
+        index++;
+        continue;
+      }
+
+      // 标题
+      const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${Markdown.inline(heading[2])}</h${level}>`);
+        index++;
+        continue;
+      }
+
+      // 分隔线
+      if (Markdown.isRule(line)) {
+        html.push('<hr>');
+        index++;
+        continue;
+      }
+
+      // 引用
+      if (/^>/.test(line)) {
+        const quote = [];
+        while (index < lines.length && /^>/.test(lines[index])) {
+          quote.push(lines[index].replace(/^>\s?/, ''));
+          index++;
+        }
+        html.push(`<blockquote>${Markdown.toHTML(quote.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      // 列表
+      const list = /^\s*([-*+]|\d+\.)\s+/.exec(line);
+      if (list) {
+        const ordered = /\d/.test(list[1]);
+        const marker = ordered ? /^\s*\d+\.\s+/ : /^\s*[-*+]\s+/;
+        const items = [];
+        while (index < lines.length && lines[index].trim()) {
+          if (marker.test(lines[index])) {
+            items.push(lines[index].replace(marker, ''));
+          } else if (/^\s+/.test(lines[index]) && items.length) {
+            items[items.length - 1] += ' ' + lines[index].trim();
+          } else {
+            break;
+          }
+          index++;
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        html.push(`<${tag}>${items.map(item => `<li>${Markdown.inline(item)}</li>`).join('')}</${tag}>`);
+        continue;
+      }
+
+      // 段落
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() && !(paragraph.length && isBlockStart(lines[index]))) {
+        paragraph.push(lines[index].trim());
+        index++;
+      }
+      html.push(`<p>${Markdown.inline(paragraph.join('\n'))}</p>`);
+    }
+
+    return html.join('\n');
+  }
+
+  /**
+   * 判断是否为分隔线
+   */
+  static isRule(line) {
+    return /^ {0,3}([-*_])( *\1){2,} *$/.test(line);
+  }
+
+  /**
+   * 渲染代码块
+   */
+  static renderCode(code, language) {
+    const className = language ? ` class="language-${escapeHTML(language)}"` : '';
+    return `<pre><code${className}>${Markdown.highlight(code, language)}</code></pre>`;
+  }
+
+  /**
+   * 代码高亮：按语法规则逐段扫描，为匹配片段包裹 token 类名
+   */
+  static highlight(code, language) {
+    const grammar = Markdown.grammars[Markdown.languageAliases[language] || language];
+    if (!grammar) return escapeHTML(code);
+
+    // 规则内部只使用非捕获分组，以便通过分组序号定位匹配的规则
+    const pattern = new RegExp(grammar.map(([, rule]) => `(${rule.source})`).join('|'), 'g');
+    let html = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(code))) {
+      if (!match[0]) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const [type] = grammar[match.slice(1).findIndex(group => group !== undefined)];
+      html += escapeHTML(code.slice(lastIndex, match.index));
+      html += `<span class="token ${type}">${escapeHTML(match[0])}</span>`;
+      lastIndex = pattern.lastIndex;
+    }
+
+    return html + escapeHTML(code.slice(lastIndex));
+  }
+
+  /**
+   * 转换行内语法
+   */
+  static inline(text) {
+    const codes = [];
+    const safeUrl = url => (/^(https?:|mailto:|\/|#|\.)/i.test(url) ? url : '#');
+
+    return escapeHTML(text)
+      .replace(/`([^`]+)`/g, (_, code) => {
+        codes.push(code);
+        return `\u0000${codes.length - 1}\u0000`;
+      })
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) =>
+        `<img src="${safeUrl(src)}" alt="${alt}" loading="lazy">`)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => {
+        const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${safeUrl(href)}"${external}>${label}</a>`;
+      })
+      .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+      .replace(/\*(.+?)\*|(^|[^\w])_(.+?)_(?![\w])/g, (match, a, prefix, b) =>
+        a ? `<em>${a}</em>` : `${prefix}<em>${b}</em>`)
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(/ {2,}\n/g, '<br>\n')
+      .replace(/\u0000(\d+)\u0000/g, (_, index) => `<code>${codes[index]}</code>`);
+  }
+}
+
+/**
+ * 代码高亮语法规则，按优先级排列
+ */
+Markdown.grammars = {
+  js: [
+    ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+    ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/],
+    ['keyword', /\b(?:const|let|var|function|return|if|else|for|while|do|class|extends|new|import|export|from|default|async|await|try|catch|finally|throw|typeof|instanceof|this|switch|case|break|continue|of|in|static|get|set)\b/],
+    ['literal', /\b(?:true|false|null|undefined|NaN)\b/],
+    ['number', /\b\d+(?:\.\d+)?\b/],
+    ['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/]
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?\*\//],
+    ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/],
+    ['keyword', /@[\w-]+/],
+    ['property', /[\w-]+(?=\s*:(?!:))/],
+    ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|rem|em|%|vh|vw|ms|s|deg)?/],
+    ['function', /[\w-]+(?=\()/]
+  ],
+  json: [
+    ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+    ['string', /"(?:\\.|[^"\\\n])*"/],
+    ['literal', /\b(?:true|false|null)\b/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+  ],
+  html: [
+    ['comment', /<!--[\s\S]*?-->/],
+    ['keyword', /<\/?[\w-]+|\/?>/],
+    ['property', /[\w-]+(?==)/],
+    ['string', /"[^"]*"|'[^']*'/]
+  ],
+  bash: [
+    ['comment', /(?:^|\s)#.*/],
+    ['string', /"(?:\\.|[^"\\])*"|'[^']*'/],
+    ['keyword', /\b(?:npm|npx|node|git|cd|echo|export|if|then|fi|for|do|done)\b/],
+    ['property', /\s--?[\w-]+/]
+  ]
+};
+
+Markdown.languageAliases = {
+  javascript: 'js',
+  jsx: 'js',
+  ts: 'js',
+  typescript: 'js',
+  scss: 'css',
+  xml: 'html',
+  svg: 'html',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash'
+};
+
+/**
+ * 内容仓库
+ * 导航时按需获取 content/ 目录下的 JSON 或 Markdown 文件，并缓存请求结果
+ */
+class ContentStore {
+  constructor(baseUrl, defaultLocale, { request = url => fetch(url) } = {}) {
+    this.baseUrl = baseUrl;
+    this.defaultLocale = defaultLocale;
+    this.locale = defaultLocale;
+    // 默认通过网络请求；预渲染脚本传入读取本地文件的实现
+    this.request = request;
+    this.cache = new Map();
+  }
+
+  /**
+   * 获取当前语言的内容文件：.json 返回解析后的对象，.md 返回 { attributes, body, html }
+   * signal 中止时立即拒绝；请求本身由多处共享，会继续完成并写入缓存，供之后的导航复用
+   */
+  get(file, { signal } = {}) {
+    const key = `${this.locale}:${file}`;
+    if (!this.cache.has(key)) {
+      const request = this.fetch(file, this.locale).catch(error => {
+        // 失败的请求不缓存，以便重试
+        this.cache.delete(key);
+        throw error;
+      });
+      this.cache.set(key, request);
+    }
+    return abortable(this.cache.get(key), signal);
+  }
+
+  /**
+   * 内容文件的地址，非默认语言的文件位于 <locale>/ 子目录
+   */
+  url(file, locale = this.locale) {
+    return this.baseUrl + (locale !== this.defaultLocale ? `${locale}/${file}` : file);
+  }
+
+  /**
+   * 请求并解析内容文件
+   */
+  async fetch(file, locale) {
+    let response = await this.request(this.url(file, locale));
+
+    // 尚未翻译的内容回退到默认语言
+    if (locale !== this.defaultLocale && response.status === 404) {
+      response = await this.request(this.url(file, this.defaultLocale));
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to load content "${file}": HTTP ${response.status}`);
+    }
+
+    if (file.endsWith('.md')) {
+      const { attributes, body } = Markdown.parseFrontMatter(await response.text());
+      return { attributes, body, html: Markdown.toHTML(body) };
+    }
+    return response.json();
+  }
+}
+
+/**
+ * GitHub 仓库动态
+ * 通过 REST API 获取公开仓库，结果以 TTL 缓存在 localStorage 中；
+ * 离线或触发速率限制时回退到过期缓存
+ */
+class GitHubRepoFeed {
+  constructor({ apiBaseUrl, username, cacheTTL, limit }) {
+    this.apiBaseUrl = apiBaseUrl.replace(/\/+$/, '');
+    this.username = username;
+    this.cacheTTL = cacheTTL;
+    this.limit = limit;
+    this.cacheKey = `github-repos:${username}`;
+  }
+
+  /**
+   * 获取仓库列表，返回 { repos, stale }
+   */
+  async getRepos() {
+    const cached = this.readCache();
+    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+      return { repos: cached.repos, stale: false };
+    }
+
+    try {
+      const repos = await this.fetchRepos();
+      this.writeCache(repos);
+      return { repos, stale: false };
+    } catch (error) {
+      if (cached) {
+        console.warn('Using cached GitHub repositories:', error.message);
+        return { repos: cached.repos, stale: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 请求 GitHub API
+   */
+  async fetchRepos() {
+    if (navigator.onLine === false) {
+      throw Object.assign(new Error('Browser is offline'), { reason: 'offline' });
+    }
+
+    const url = `${this.apiBaseUrl}/users/${encodeURIComponent(this.username)}/repos?sort=pushed&per_page=100`;
+
+    let response;
+    try {
+      response = await fetch(url, { headers: { Accept: 'application/vnd.github+json' } });
+    } catch (error) {
+      throw Object.assign(new Error(`GitHub request failed: ${error.message}`), { reason: 'offline' });
+    }
+
+    if (response.status === 429 || (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0')) {
+      throw Object.assign(new Error('GitHub API rate limit exceeded'), { reason: 'rate-limited' });
+    }
+    if (!response.ok) {
+      throw Object.assign(new Error(`GitHub API responded with HTTP ${response.status}`), { reason: 'http' });
+    }
+
+    const data = await response.json();
+    return data
+      .filter(repo => !repo.fork && !repo.archived)
+      .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+      .slice(0, this.limit)
+      .map(repo => ({
+        name: repo.name,
+        description: repo.description,
+        language: repo.language,
+        stars: repo.stargazers_count,
+        pushedAt: repo.pushed_at,
+        url: repo.html_url
+      }));
+  }
+
+  /**
+   * 读取缓存（localStorage 不可用时视为无缓存）
+   */
+  readCache() {
+    try {
+      return JSON.parse(localStorage.getItem(this.cacheKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存
+   */
+  writeCache(repos) {
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify({ timestamp: Date.now(), repos }));
+    } catch (error) {
+      // 存储已满或被禁用时忽略，下次重新请求
+    }
+  }
+}
+
+/**
+ * 联系表单控制器
+ * 负责字段校验、草稿保存、防垃圾（蜜罐字段 + 客户端频率限制）
+ * 以及按配置选择投递方式（见 ContactForm.transports）
+ */
+class ContactForm {
+  constructor(form, { config, t, onSubmit = null }) {
+    this.form = form;
+    this.config = config;
+    this.t = t;
+    this.onSubmit = onSubmit;
+    this.submitButton = form.querySelector('[type="submit"]');
+    this.statusElement = form.querySelector('[data-form-status]');
+    this.state = 'idle';
+
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+  }
+
+  /**
+   * 恢复草稿并绑定事件
+   */
+  attach() {
+    this.restoreDraft();
+    this.form.addEventListener('submit', this.handleSubmit);
+    this.form.addEventListener('input', this.handleInput);
+    this.form.addEventListener('focusout', this.handleBlur);
+  }
+
+  /**
+   * 解除事件绑定
+   */
+  detach() {
+    this.form.removeEventListener('submit', this.handleSubmit);
+    this.form.removeEventListener('input', this.handleInput);
+    this.form.removeEventListener('focusout', this.handleBlur);
+  }
+
+  /**
+   * 需要校验与保存的字段（不含蜜罐字段）
+   */
+  get fields() {
+    return Array.from(this.form.querySelectorAll('[data-field]'));
+  }
+
+  /**
+   * 收集去除首尾空白后的字段值
+   */
+  getValues() {
+    return Object.fromEntries(this.fields.map(field => [field.name, field.value.trim()]));
+  }
+
+  /**
+   * 校验单个字段，返回错误信息或 null
+   */
+  validateField(field) {
+    const value = field.value.trim();
+    const label = field.dataset.label;
+
+    if (field.required && !value) {
+      return this.t('contactForm.errors.required', { field: label });
+    }
+    if (field.type === 'email' && value && !ContactForm.EMAIL_PATTERN.test(value)) {
+      return this.t('contactForm.errors.email');
+    }
+    if (field.minLength > 0 && value && value.length < field.minLength) {
+      return this.t('contactForm.errors.tooShort', { field: label, min: field.minLength });
+    }
+    return null;
+  }
+
+  /**
+   * 显示或清除字段错误
+   */
+  showFieldError(field, message) {
+    const error = this.form.querySelector(`#${field.id}-error`);
+    field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (error) {
+      error.textContent = message || '';
+      error.hidden = !message;
+    }
+  }
+
+  /**
+   * 校验全部字段，并聚焦第一个出错的字段
+   */
+  validate() {
+    let firstInvalid = null;
+
+    this.fields.forEach(field => {
+      const message = this.validateField(field);
+      this.showFieldError(field, message);
+      if (message && !firstInvalid) {
+        firstInvalid = field;
+      }
+    });
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+    return !firstInvalid;
+  }
+
+  /**
+   * 输入时保存草稿，并在修正后清除错误
+   */
+  handleInput(event) {
+    const field = event.target;
+    if (!field.matches('[data-field]')) return;
+
+    if (field.getAttribute('aria-invalid') === 'true') {
+      this.showFieldError(field, this.validateField(field));
+    }
+    if (this.state === 'success' || this.state === 'error') {
+      this.setState('idle');
+    }
+    this.saveDraft();
+  }
+
+  /**
+   * 离开已填写的字段时校验
+   */
+  handleBlur(event) {
+    const field = event.target;
+    if (!field.matches('[data-field]') || !field.value.trim()) return;
+    this.showFieldError(field, this.validateField(field));
+  }
+
+  /**
+   * 提交表单
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+    if (this.state === 'submitting' || !this.validate()) return;
+
+    // 蜜罐字段对用户不可见，被填写时视为机器人：不投递，但照常显示成功
+    const honeypot = this.form.querySelector('[data-honeypot]');
+    if (honeypot && honeypot.value) {
+      this.complete();
+      return;
+    }
+
+    const wait = this.getRateLimitWait();
+    if (wait > 0) {
+      this.setState('error', this.t('contactForm.status.rateLimited', { minutes: Math.ceil(wait / 60000) }));
+      return;
+    }
+
+    this.setState('submitting');
+    try {
+      const deliver = ContactForm.transports[this.config.transport];
+      if (!deliver) {
+        throw new Error(`Unknown contact transport: ${this.config.transport}`);
+      }
+      await deliver(this.getValues(), this.config);
+      this.recordSubmission();
+      if (this.onSubmit) this.onSubmit();
+      this.complete();
+    } catch (error) {
+      console.error('Contact form delivery failed:', error);
+      this.setState('error', this.t('contactForm.status.error'));
+    }
+  }
+
+  /**
+   * 发送成功：清空表单与草稿
+   */
+  complete() {
+    this.form.reset();
+    this.clearDraft();
+    const message = this.config.transport === 'mailto' ? 'contactForm.status.mailto' : 'contactForm.status.success';
+    this.setState('success', this.t(message));
+  }
+
+  /**
+   * 更新按钮与状态提示
+   */
+  setState(state, message = '') {
+    const buttons = {
+      idle: { icon: 'fas fa-paper-plane', label: 'contactForm.submit' },
+      submitting: { icon: 'fas fa-spinner fa-spin', label: 'contactForm.submitting' },
+      success: { icon: 'fas fa-check', label: 'contactForm.sent' },
+      error: { icon: 'fas fa-paper-plane', label: 'contactForm.submit' }
+    };
+
+    this.state = state;
+    this.form.dataset.state = state;
+
+    if (this.submitButton) {
+      this.submitButton.disabled = state === 'submitting';
+      this.submitButton.setAttribute('aria-busy', String(state === 'submitting'));
+      this.submitButton.querySelector('i').className = buttons[state].icon;
+      this.submitButton.querySelector('[data-submit-label]').textContent = this.t(buttons[state].label);
+    }
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+
+  /**
+   * 距离下次允许提交的毫秒数（0 表示可以提交）
+   */
+  getRateLimitWait() {
+    const { max, window: period } = this.config.rateLimit;
+    const recent = this.readSubmissions();
+    if (recent.length < max) return 0;
+    return Math.max(0, recent[0] + period - Date.now());
+  }
+
+  /**
+   * 时间窗口内的提交记录（时间戳升序）
+   */
+  readSubmissions() {
+    try {
+      const since = Date.now() - this.config.rateLimit.window;
+      const timestamps = JSON.parse(localStorage.getItem(this.config.submissionsKey)) || [];
+      return timestamps.filter(timestamp => timestamp > since).sort((a, b) => a - b);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 记录一次成功提交
+   */
+  recordSubmission() {
+    try {
+      const timestamps = [...this.readSubmissions(), Date.now()];
+      localStorage.setItem(this.config.submissionsKey, JSON.stringify(timestamps));
+    } catch (error) {
+      // 存储不可用时无法限制频率，忽略
+    }
+  }
+
+  /**
+   * 保存草稿
+   */
+  saveDraft() {
+    const draft = Object.fromEntries(this.fields.map(field => [field.name, field.value]));
+    try {
+      if (Object.values(draft).some(Boolean)) {
+        localStorage.setItem(this.config.draftKey, JSON.stringify(draft));
+      } else {
+        localStorage.removeItem(this.config.draftKey);
+      }
+    } catch (error) {
+      // 存储已满或被禁用时忽略
+    }
+  }
+
+  /**
+   * 恢复草稿
+   */
+  restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(this.config.draftKey));
+    } catch (error) {
+      return;
+    }
+    if (!draft) return;
+
+    this.fields.forEach(field => {
+      if (typeof draft[field.name] === 'string') {
+        field.value = draft[field.name];
+      }
+    });
+  }
+
+  /**
+   * 清除草稿
+   */
+  clearDraft() {
+    try {
+      localStorage.removeItem(this.config.draftKey);
+    } catch (error) {
+      // 忽略
+    }
+  }
+}
+
+ContactForm.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 投递方式：接收 { name, email, subject, message } 与 APP_CONFIG.contact，
+ * 失败时抛出错误。新增后端时在此注册并修改 APP_CONFIG.contact.transport
+ */
+ContactForm.transports = {
+  /**
+   * 打开访客的邮件客户端，无需后端
+   */
+  mailto(message, { email }) {
+    const params = new URLSearchParams({
+      subject: message.subject,
+      body: `${message.message}\n\n— ${message.name} <${message.email}>`
+    });
+    // 邮件客户端不把 + 解析为空格
+    window.location.href = `mailto:${email}?${params.toString().replace(/\+/g, '%20')}`;
+  },
+
+  /**
+   * 以 JSON 形式 POST 到表单后端（如 Formspree、自建接口）
+   */
+  async endpoint(message, { endpoint }) {
+    if (!endpoint) {
+      throw new Error('Contact endpoint is not configured');
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Contact endpoint responded with HTTP ${response.status}`);
+    }
+  }
+};
+
+/**
+ * 项目筛选
+ * 按标签（任一/全部匹配）与关键词筛选项目网格并排序，
+ * 状态与查询字符串互相转换（?tag=React&tag=Vue&match=all&q=平台&sort=newest）
+ */
+class ProjectFilter {
+  constructor(root, projects, { locale, t, onChange }) {
+    this.root = root;
+    this.projects = projects;
+    this.locale = locale;
+    this.t = t;
+    this.onChange = onChange;
+    this.grid = root.querySelector('[data-project-grid]');
+    this.searchInput = root.querySelector('[data-filter-search]');
+    this.sortSelect = root.querySelector('[data-filter-sort]');
+    this.emptyState = root.querySelector('[data-filter-empty]');
+    this.countElement = root.querySelector('[data-filter-count]');
+    this.state = ProjectFilter.parse(new URLSearchParams());
+    this.searchTimer = null;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleSearch = this.handleSearch.bind(this);
+    this.handleSort = this.handleSort.bind(this);
+  }
+
+  /**
+   * 从查询参数解析筛选状态
+   */
+  static parse(query) {
+    const sort = query.get('sort');
+    return {
+      tags: [...new Set(query.getAll('tag').filter(Boolean))],
+      match: query.get('match') === 'all' ? 'all' : 'any',
+      q: (query.get('q') || '').trim(),
+      sort: ProjectFilter.sorts.includes(sort) ? sort : ProjectFilter.sorts[0]
+    };
+  }
+
+  /**
+   * 将筛选状态转换为查询参数，省略默认值
+   */
+  static serialize(state) {
+    const query = new URLSearchParams();
+    state.tags.forEach(tag => query.append('tag', tag));
+    if (state.match === 'all') query.set('match', 'all');
+    if (state.q) query.set('q', state.q);
+    if (state.sort !== ProjectFilter.sorts[0]) query.set('sort', state.sort);
+    return query;
+  }
+
+  /**
+   * 按筛选状态选出项目并排序
+   */
+  static select(projects, state, locale) {
+    const terms = state.q.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+    const start = project => {
+      const match = /(\d{4})\.(\d{1,2})/.exec(project.timeline || '');
+      return match ? Number(match[1]) * 12 + Number(match[2]) : 0;
+    };
+    const comparators = {
+      featured: () => 0,
+      newest: (a, b) => start(b) - start(a),
+      title: (a, b) => a.title.localeCompare(b.title, locale)
+    };
+
+    return projects
+      .filter(project => {
+        if (state.tags.length) {
+          const has = tag => project.tags.includes(tag);
+          if (state.match === 'all' ? !state.tags.every(has) : !state.tags.some(has)) return false;
+        }
+        const text = `${project.title} ${project.description}`.toLocaleLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .sort(comparators[state.sort]);
+  }
+
+  /**
+   * 绑定事件并应用初始状态
+   */
+  attach(state) {
+    this.root.addEventListener('click', this.handleClick);
+    this.searchInput.addEventListener('input', this.handleSearch);
+    this.sortSelect.addEventListener('change', this.handleSort);
+    this.apply(state, { animate: false });
+  }
+
+  /**
+   * 解除事件绑定，并取消尚未执行的搜索，避免离开页面后仍改写地址
+   */
+  detach() {
+    clearTimeout(this.searchTimer);
+    this.root.removeEventListener('click', this.handleClick);
+    this.searchInput.removeEventListener('input', this.handleSearch);
+    this.sortSelect.removeEventListener('change', this.handleSort);
+  }
+
+  /**
+   * 标签、匹配方式与清除按钮
+   */
+  handleClick(event) {
+    const tagButton = event.target.closest('[data-filter-tag]');
+    if (tagButton) {
+      const tag = tagButton.dataset.filterTag;
+      const tags = this.state.tags.includes(tag)
+        ? this.state.tags.filter(item => item !== tag)
+        : [...this.state.tags, tag];
+      this.update({ tags });
+      return;
+    }
+
+    const matchButton = event.target.closest('[data-filter-match]');
+    if (matchButton) {
+      this.update({ match: matchButton.dataset.filterMatch });
+      return;
+    }
+
+    if (event.target.closest('[data-filter-clear]')) {
+      this.update(ProjectFilter.parse(new URLSearchParams()));
+      this.searchInput.focus();
+    }
+  }
+
+  /**
+   * 搜索输入：防抖后替换当前历史记录，避免逐字产生记录
+   */
+  handleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => {
+      this.update({ q: this.searchInput.value.trim() }, { replace: true });
+    }, 200);
+  }
+
+  /**
+   * 排序方式
+   */
+  handleSort() {
+    this.update({ sort: this.sortSelect.value });
+  }
+
+  /**
+   * 合并状态变化，应用并通知URL同步
+   */
+  update(changes, { replace = false } = {}) {
+    this.apply({ ...this.state, ...changes });
+    this.onChange(ProjectFilter.serialize(this.state), { replace });
+  }
+
+  /**
+   * 将状态应用到界面
+   */
+  apply(state, { animate = true } = {}) {
+    this.state = state;
+
+    const visible = ProjectFilter.select(this.projects, state, this.locale);
+    const cards = new Map([...this.grid.children].map(card => [card.dataset.slug, card]));
+    const visibleSlugs = new Set(visible.map(project => project.slug));
+
+    this.reflow(animate, () => {
+      visible.forEach(project => this.grid.appendChild(cards.get(project.slug)));
+      cards.forEach((card, slug) => {
+        card.hidden = !visibleSlugs.has(slug);
+      });
+    });
+
+    this.emptyState.hidden = visible.length > 0;
+    this.countElement.textContent = this.t('projectFilter.count', {
+      count: visible.length,
+      total: this.projects.length
+    });
+
+    this.root.querySelectorAll('[data-filter-tag]').forEach(button => {
+      button.setAttribute('aria-pressed', String(state.tags.includes(button.dataset.filterTag)));
+    });
+    this.root.querySelectorAll('[data-filter-match]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.filterMatch === state.match));
+    });
+    if (this.searchInput.value.trim() !== state.q) {
+      this.searchInput.value = state.q;
+    }
+    this.sortSelect.value = state.sort;
+  }
+
+  /**
+   * 以 FLIP 方式为卡片位置变化添加过渡：记录变化前位置，变化后从旧位置动画到新位置
+   */
+  reflow(animate, change) {
+    const view = this.root.ownerDocument.defaultView;
+    const reduceMotion = view.matchMedia && view.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const cards = [...this.grid.children];
+    if (!animate || reduceMotion || !this.grid.animate) {
+      change();
+      return;
+    }
+
+    const before = new Map(cards.map(card => [card, card.hidden ? null : card.getBoundingClientRect()]));
+    change();
+
+    const timing = { duration: 300, easing: 'cubic-bezier(0.4, 0, 0.2, 1)' };
+    cards.forEach(card => {
+      if (card.hidden) return;
+
+      const first = before.get(card);
+      if (!first) {
+        card.animate([{ opacity: 0, transform: 'scale(0.96)' }, { opacity: 1, transform: 'none' }], timing);
+        return;
+      }
+
+      const last = card.getBoundingClientRect();
+      const dx = first.left - last.left;
+      const dy = first.top - last.top;
+      if (dx || dy) {
+        card.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }], timing);
+      }
+    });
+  }
+}
+
+ProjectFilter.sorts = ['featured', 'newest', 'title'];
+
+/**
+ * 命令面板
+ * Ctrl/Cmd+K 打开的搜索框，对条目做模糊匹配并高亮命中字符；
+ * 条目格式为 { group, label, description?, keywords?, icon, run }，由 loadItems 异步提供；面板插入到 container 中
+ */
+class CommandPalette {
+  constructor({ t, loadItems, container, limit = 30 }) {
+    this.t = t;
+    this.container = container;
+    this.loadItems = loadItems;
+    this.limit = limit;
+    this.items = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.element = null;
+    this.previousFocus = null;
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+  }
+
+  /**
+   * 模糊匹配：优先连续子串，其次按顺序出现的字符
+   * 返回 { score, indices }，不匹配时返回 null；indices 按码点计数，与 highlight 一致
+   */
+  static match(query, text) {
+    const needle = Array.from(query.toLocaleLowerCase().trim());
+    const haystack = Array.from(text, char => char.toLocaleLowerCase());
+    if (!needle.length) return { score: 0, indices: [] };
+
+    const start = haystack.findIndex((_, index) => needle.every((char, offset) => haystack[index + offset] === char));
+    if (start !== -1) {
+      const indices = Array.from({ length: needle.length }, (_, offset) => start + offset);
+      return { score: 1000 - start * 10 - haystack.length, indices };
+    }
+
+    const indices = [];
+    let from = 0;
+    let gaps = 0;
+    for (const char of needle.filter(char => !/\s/.test(char))) {
+      const index = haystack.indexOf(char, from);
+      if (index === -1) return null;
+      if (indices.length) gaps += index - from;
+      indices.push(index);
+      from = index + 1;
+    }
+    return { score: 500 - gaps * 10 - indices[0] - haystack.length, indices };
+  }
+
+  /**
+   * 将命中字符包裹为 <mark>，返回可直接插入 html`` 模板的片段
+   */
+  static highlight(text, indices) {
+    const hits = new Set(indices);
+    let html = '';
+    let open = false;
+
+    Array.from(text).forEach((char, index) => {
+      if (hits.has(index) !== open) {
+        html += open ? '</mark>' : '<mark>';
+        open = !open;
+      }
+      html += escapeHTML(char);
+    });
+    return trusted(open ? `${html}</mark>` : html);
+  }
+
+  get isOpen() {
+    return Boolean(this.element);
+  }
+
+  /**
+   * 打开面板
+   */
+  async open() {
+    if (this.isOpen) return;
+
+    this.previousFocus = this.container.ownerDocument.activeElement;
+    this.element = this.createElement();
+    this.container.appendChild(this.element);
+    this.input = this.element.querySelector('[role="combobox"]');
+    this.list = this.element.querySelector('[role="listbox"]');
+    this.status = this.element.querySelector('[data-palette-status]');
+
+    this.input.addEventListener('input', this.handleInput);
+    this.element.addEventListener('keydown', this.handleKeydown);
+    this.element.addEventListener('click', this.handleClick);
+    this.list.addEventListener('mousemove', this.handlePointer);
+    this.input.focus();
+
+    this.status.textContent = this.t('palette.loading');
+    try {
+      this.items = await this.loadItems();
+    } catch (error) {
+      console.error('Command palette index failed:', error);
+      this.items = [];
+    }
+    if (this.isOpen) {
+      this.search();
+    }
+  }
+
+  /**
+   * 关闭面板并将焦点还给打开前的元素
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.element.remove();
+    this.element = null;
+    if (this.previousFocus && this.previousFocus.isConnected) {
+      this.previousFocus.focus();
+    }
+  }
+
+  /**
+   * 切换面板
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * 面板结构
+   */
+  createElement() {
+    const element = this.container.ownerDocument.createElement('div');
+    element.className = 'palette';
+    element.innerHTML = html`
+      <div class="palette-backdrop" data-palette-close></div>
+      <div class="palette-dialog" role="dialog" aria-modal="true" aria-label="${this.t('palette.label')}">
+        <div class="palette-search">
+          <i class="fas fa-search" aria-hidden="true"></i>
+          <input
+            type="text"
+            role="combobox"
+            aria-expanded="false"
+            aria-controls="palette-results"
+            aria-autocomplete="list"
+            autocomplete="off"
+            spellcheck="false"
+            placeholder="${this.t('palette.placeholder')}"
+            aria-label="${this.t('palette.label')}"
+          >
+          <kbd>Esc</kbd>
+        </div>
+        <ul class="palette-results" id="palette-results" role="listbox" aria-label="${this.t('palette.results')}"></ul>
+        <p class="palette-status" data-palette-status aria-live="polite"></p>
+        <div class="palette-footer" aria-hidden="true">
+          <span><kbd>↑</kbd><kbd>↓</kbd> ${this.t('palette.hintMove')}</span>
+          <span><kbd>↵</kbd> ${this.t('palette.hintOpen')}</span>
+          <span><kbd>Esc</kbd> ${this.t('palette.hintClose')}</span>
+        </div>
+      </div>
+    `;
+    return element;
+  }
+
+  /**
+   * 按输入筛选并排序条目
+   */
+  search() {
+    const query = this.input.value;
+
+    this.results = this.items
+      .map((item, order) => {
+        const labelMatch = CommandPalette.match(query, item.label);
+        if (labelMatch) return { item, order, ...labelMatch };
+
+        // 仅描述或关键词命中时排在标题命中之后，且不高亮标题
+        const [otherMatch] = [item.description, ...(item.keywords || [])]
+          .filter(Boolean)
+          .map(text => CommandPalette.match(query, text))
+          .filter(Boolean)
+          .sort((a, b) => b.score - a.score);
+        return otherMatch ? { item, order, score: otherMatch.score - 1000, indices: [] } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, this.limit);
+
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  /**
+   * 渲染结果列表
+   */
+  render() {
+    this.list.innerHTML = html`${this.results.map(({ item, indices }, index) => html`
+      <li id="palette-option-${index}" class="palette-option" role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+        <i class="${item.icon}" aria-hidden="true"></i>
+        <span class="palette-option-text">
+          <span class="palette-option-label">${CommandPalette.highlight(item.label, indices)}</span>
+          ${item.description && html`<span class="palette-option-description">${item.description}</span>`}
+        </span>
+        <span class="palette-option-group">${item.group}</span>
+      </li>
+    `)}`;
+
+    this.status.textContent = this.results.length
+      ? this.t('palette.count', { count: this.results.length })
+      : this.t('palette.empty');
+    this.status.classList.toggle('visually-hidden', this.results.length > 0);
+    this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+    this.setActive(this.activeIndex);
+  }
+
+  /**
+   * 设置当前选中项
+   */
+  setActive(index) {
+    const options = this.list.querySelectorAll('[role="option"]');
+    if (!options.length) {
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+    options.forEach((option, optionIndex) => {
+      option.setAttribute('aria-selected', String(optionIndex === this.activeIndex));
+    });
+
+    const active = options[this.activeIndex];
+    this.input.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * 执行条目：先关闭面板，再运行命令
+   */
+  execute(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    this.close();
+    result.item.run();
+  }
+
+  handleInput() {
+    this.search();
+  }
+
+  /**
+   * 键盘操作：方向键移动，回车执行，Esc 关闭，Tab 保持在面板内
+   */
+  handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.execute(this.activeIndex);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        event.preventDefault();
+        break;
+    }
+  }
+
+  /**
+   * 点击条目执行，点击遮罩关闭
+   */
+  handleClick(event) {
+    const option = event.target.closest('[role="option"]');
+    if (option) {
+      this.execute(Number(option.dataset.index));
+      return;
+    }
+    if (event.target.closest('[data-palette-close]')) {
+      this.close();
+    }
+  }
+
+  /**
+   * 鼠标移动时同步选中项
+   */
+  handlePointer(event) {
+    const option = event.target.closest('[role="option"]');
+    if (option && Number(option.dataset.index) !== this.activeIndex) {
+      this.setActive(Number(option.dataset.index));
+    }
+  }
+}
+
+/**
+ * 访问统计
+ * 统计服务通过适配器接入（见 Analytics.adapters），访客同意后才加载；
+ * 浏览器开启“请勿跟踪”（Do Not Track / Global Privacy Control）时既不加载也不询问
+ */
+class Analytics {
+  constructor({ adapter, consentKey, respectDoNotTrack, ...options }) {
+    this.adapter = adapter;
+    this.options = options[adapter] || {};
+    this.consentKey = consentKey;
+    this.respectDoNotTrack = respectDoNotTrack;
+    this.consent = this.readConsent();
+    this.client = null;
+  }
+
+  /**
+   * 浏览器是否表达了不希望被跟踪
+   */
+  static doNotTrack() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  }
+
+  /**
+   * 是否配置了可用的适配器且未被“请勿跟踪”屏蔽
+   */
+  get available() {
+    return Boolean(Analytics.adapters[this.adapter]) && !(this.respectDoNotTrack && Analytics.doNotTrack());
+  }
+
+  /**
+   * 访客尚未做出选择，需要显示同意提示
+   */
+  get needsConsent() {
+    return this.available && this.consent === null;
+  }
+
+  /**
+   * 已获同意时加载统计服务，返回是否处于启用状态
+   */
+  start() {
+    if (this.client) return true;
+    if (!this.available || this.consent !== 'granted') return false;
+
+    try {
+      this.client = Analytics.adapters[this.adapter](this.options);
+    } catch (error) {
+      console.error('Analytics failed to start:', error);
+    }
+    return Boolean(this.client);
+  }
+
+  /**
+   * 保存访客的选择；同意时立即加载，拒绝时卸载统计服务
+   */
+  setConsent(granted) {
+    this.consent = granted ? 'granted' : 'denied';
+    try {
+      localStorage.setItem(this.consentKey, this.consent);
+    } catch (error) {
+      // 存储不可用时仅在当前会话生效
+    }
+
+    if (!granted) {
+      this.stop();
+      return false;
+    }
+    return this.start();
+  }
+
+  /**
+   * 卸载统计服务，由适配器的 stop() 清除其加载的脚本、全局变量与 Cookie
+   */
+  stop() {
+    if (!this.client) return;
+
+    try {
+      if (this.client.stop) {
+        this.client.stop();
+      }
+    } catch (error) {
+      console.error('Analytics failed to stop:', error);
+    }
+    this.client = null;
+  }
+
+  /**
+   * 读取保存的选择，未选择时为 null
+   */
+  readConsent() {
+    try {
+      const saved = localStorage.getItem(this.consentKey);
+      return saved === 'granted' || saved === 'denied' ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 上报页面浏览
+   */
+  page({ url, title }) {
+    if (this.client) {
+      this.client.page({ url, title });
+    }
+  }
+
+  /**
+   * 上报自定义事件
+   */
+  event(name, props = {}) {
+    if (this.client) {
+      this.client.event(name, props);
+    }
+  }
+}
+
+/**
+ * 统计适配器：接收 APP_CONFIG.analytics 中同名的配置，返回 { page, event, stop? }
+ * stop() 在访客撤销同意时调用，负责清除适配器留下的一切状态
+ */
+Analytics.adapters = {
+  /**
+   * Google Analytics 4：动态加载 gtag.js，页面浏览由路由在每次切换后手动上报
+   */
+  ga4({ measurementId }) {
+    if (!measurementId) {
+      throw new Error('GA4 measurement ID is not configured');
+    }
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = function gtag() {
+      window.dataLayer.push(arguments);
+    };
+    window.gtag('js', new Date());
+    window.gtag('config', measurementId, { send_page_view: false });
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+    document.head.appendChild(script);
+
+    const disableKey = `ga-disable-${measurementId}`;
+    delete window[disableKey];
+
+    return {
+      page: ({ url, title }) => window.gtag('event', 'page_view', { page_location: url, page_title: title }),
+      event: (name, props) => window.gtag('event', name, props),
+      stop: () => {
+        // 已加载的 gtag.js 无法卸载，通过官方的停用开关阻止它继续发送
+        window[disableKey] = true;
+        script.remove();
+        delete window.gtag;
+        delete window.dataLayer;
+
+        // _ga、_ga_<ID> 等 Cookie 写在可写的最上级域名上，逐级过期
+        const parts = window.location.hostname.split('.');
+        const domains = parts.map((_, index) => parts.slice(index).join('.'));
+        document.cookie.split(';')
+          .map(cookie => cookie.split('=')[0].trim())
+          .filter(name => /^_g(a|id|at)(_|$)/.test(name))
+          .forEach(name => {
+            document.cookie = `${name}=; Max-Age=0; path=/`;
+            domains.forEach(domain => {
+              document.cookie = `${name}=; Max-Age=0; path=/; domain=${domain}`;
+            });
+          });
+      }
+    };
+  },
+
+  /**
+   * Plausible 兼容的事件接口，不使用 Cookie
+   */
+  plausible({ endpoint, domain }) {
+    const send = (name, url, props) => {
+      fetch(endpoint, {
+        method: 'POST',
+        // text/plain 属于简单请求，跨域上报无需预检
+        headers: { 'Content-Type': 'text/plain' },
+        body: JSON.stringify({ name, url, domain, referrer: document.referrer || null, props }),
+        keepalive: true
+      }).catch(error => console.warn('Analytics request failed:', error));
+    };
+
+    return {
+      page: ({ url }) => send('pageview', url),
+      event: (name, props) => send(name, window.location.href, props)
+    };
+  },
+
+  /**
+   * 开发调试：只输出到控制台
+   */
+  console() {
+    return {
+      page: ({ url, title }) => console.log('[analytics] pageview', url, title),
+      event: (name, props) => console.log('[analytics]', name, props)
+    };
+  }
+};
+
+/**
+ * 客户端错误上报
+ * 相同的错误（类型、消息、首个调用栈帧与路由相同）合并计数，攒批后通过 navigator.sendBeacon 发送到 endpoint，
+ * 附带用户代理与最近的导航轨迹；已发送过的错误在本次会话中不再重复上报。未配置 endpoint 时不上报
+ */
+class ErrorReporter {
+  constructor({ enabled, endpoint, flushInterval, maxBatch, maxBreadcrumbs, maxReports }, view = typeof window !== 'undefined' ? window : null) {
+    this.enabled = enabled;
+    this.endpoint = endpoint;
+    this.flushInterval = flushInterval;
+    this.maxBatch = maxBatch;
+    this.maxBreadcrumbs = maxBreadcrumbs;
+    this.maxReports = maxReports;
+    this.view = view;
+    this.queue = new Map();
+    this.reported = new Set();
+    this.breadcrumbs = [];
+    this.timer = null;
+  }
+
+  /**
+   * 是否需要上报
+   */
+  get active() {
+    return Boolean(this.enabled && this.endpoint && this.view);
+  }
+
+  /**
+   * 从任意抛出值中提取类型、消息与调用栈
+   */
+  static normalize(error) {
+    const value = error && typeof error === 'object' ? error : { message: String(error) };
+    const stack = typeof value.stack === 'string' ? value.stack : '';
+    const frame = stack.split('\n').find(line => /^\s*at |@/.test(line)) || '';
+
+    return {
+      name: value.name || 'Error',
+      message: String(value.message || value),
+      stack: stack.slice(0, 2000),
+      frame: frame.trim()
+    };
+  }
+
+  /**
+   * 记录一条导航轨迹，只保留最近的若干条
+   */
+  addBreadcrumb(crumb) {
+    this.breadcrumbs.push({ ...crumb, timestamp: new Date().toISOString() });
+    if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
+  }
+
+  /**
+   * 记录错误；context 为 { source, route }
+   */
+  capture(error, context = {}) {
+    if (!this.active) return;
+
+    const details = ErrorReporter.normalize(error);
+    const signature = [details.name, details.message, details.frame, context.route].join('|');
+    if (this.reported.has(signature)) return;
+
+    const queued = this.queue.get(signature);
+    if (queued) {
+      queued.count++;
+      return;
+    }
+
+    // 限制单次会话的上报数量，避免错误循环时持续发送
+    if (this.reported.size + this.queue.size >= this.maxReports) return;
+
+    this.queue.set(signature, {
+      ...details,
+      ...context,
+      url: this.view.location.href,
+      timestamp: new Date().toISOString(),
+      count: 1
+    });
+
+    if (this.queue.size >= this.maxBatch) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  /**
+   * 立即发送队列中的错误
+   * sendBeacon 在页面卸载时也能送达；以纯文本发送以免跨域预检，不可用或被拒绝时改用 fetch keepalive
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.queue.size) return;
+
+    const body = JSON.stringify({
+      errors: [...this.queue.values()],
+      breadcrumbs: this.breadcrumbs,
+      userAgent: this.view.navigator.userAgent,
+      sentAt: new Date().toISOString()
+    });
+    this.queue.forEach((report, signature) => this.reported.add(signature));
+    this.queue.clear();
+
+    const { navigator } = this.view;
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+    this.view.fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(error => {
+      console.warn('Error report failed:', error.message);
+    });
+  }
+}
+
+/**
+ * 单次页面切换的分阶段计时，由 PerformanceMonitor.startNavigation() 创建
+ * 并行的阶段（数据加载与淡出）分别计时，各阶段耗时之和可能大于总耗时
+ */
+class RouteTiming {
+  constructor(route, now) {
+    this.route = route;
+    this.now = now;
+    this.start = now();
+    this.phases = {};
+    this.pending = {};
+  }
+
+  /**
+   * 记录 Promise 从现在到完成的耗时，返回原 Promise 的结果
+   */
+  async measure(phase, promise) {
+    this.begin(phase);
+    try {
+      return await promise;
+    } finally {
+      this.end(phase);
+    }
+  }
+
+  /**
+   * 开始计时同步阶段
+   */
+  begin(phase) {
+    this.pending[phase] = this.now();
+  }
+
+  /**
+   * 结束计时同步阶段
+   */
+  end(phase) {
+    if (phase in this.pending) {
+      this.phases[phase] = this.now() - this.pending[phase];
+      delete this.pending[phase];
+    }
+  }
+}
+
+/**
+ * 性能监测
+ * 通过 PerformanceObserver 采集 Core Web Vitals（LCP、CLS、INP、FCP、TTFB），并记录每次页面切换各阶段的耗时。
+ * 结果交给输出端（见 PerformanceMonitor.sinks）：TTFB、FCP 与页面切换计时即时输出，
+ * LCP、CLS、INP 会持续变化，在页面隐藏时输出最终值；订阅者（调试面板）收到每一次变化
+ */
+class PerformanceMonitor {
+  constructor({ sink, maxNavigations, ...options }, view = typeof window !== 'undefined' ? window : null) {
+    this.sinkName = sink;
+    this.options = typeof sink === 'string' ? options[sink] || {} : options;
+    this.maxNavigations = maxNavigations;
+    this.view = view;
+    this.sink = null;
+    this.metrics = {};
+    this.navigations = [];
+    this.observers = [];
+    this.subscribers = new Set();
+    // 自上次输出后有变化、等待页面隐藏时输出的指标
+    this.changed = new Set();
+    this.interactions = new Map();
+    this.shiftWindow = null;
+    this.lcpFinal = false;
+    this.route = null;
+  }
+
+  /**
+   * 开始采集；context 会传给输出端（如 { analytics }）
+   */
+  start(context = {}) {
+    const createSink = typeof this.sinkName === 'function' ? this.sinkName : PerformanceMonitor.sinks[this.sinkName];
+    if (createSink) {
+      try {
+        this.sink = createSink(this.options, { ...context, view: this.view });
+      } catch (error) {
+        console.error('Performance sink failed to start:', error);
+      }
+    }
+
+    this.observe('navigation', entry => {
+      this.record('TTFB', Math.max(entry.responseStart - (entry.activationStart || 0), 0), { final: true });
+    });
+    this.observe('paint', entry => {
+      if (entry.name === 'first-contentful-paint') {
+        this.record('FCP', entry.startTime, { final: true });
+      }
+    });
+    this.observe('largest-contentful-paint', entry => {
+      // 访客开始交互后 LCP 不再更新
+      if (!this.lcpFinal) this.record('LCP', entry.startTime);
+    });
+    this.observe('layout-shift', entry => this.handleLayoutShift(entry));
+    this.observe('event', entry => this.handleInteraction(entry), { durationThreshold: 40 });
+    this.observe('first-input', entry => this.handleInteraction(entry));
+  }
+
+  /**
+   * 停止采集并输出尚未输出的指标
+   */
+  stop() {
+    this.flush();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+  }
+
+  /**
+   * 订阅指标与页面切换计时的变化，返回取消订阅的函数
+   */
+  subscribe(handler) {
+    this.subscribers.add(handler);
+    return () => this.subscribers.delete(handler);
+  }
+
+  /**
+   * 观察一种性能条目（包括观察开始前已产生的），浏览器不支持该类型时跳过
+   */
+  observe(type, handler, options = {}) {
+    const { PerformanceObserver } = this.view;
+    if (!PerformanceObserver || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(handler));
+    observer.observe({ type, buffered: true, ...options });
+    this.observers.push(observer);
+  }
+
+  /**
+   * CLS：取 1 秒内连续、总长不超过 5 秒的布局偏移窗口中得分最高的一个，访客输入后的偏移不计入
+   */
+  handleLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const current = this.shiftWindow;
+    if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+      current.value += entry.value;
+      current.last = entry.startTime;
+    } else {
+      this.shiftWindow = { value: entry.value, first: entry.startTime, last: entry.startTime };
+    }
+
+    const previous = this.metrics.CLS ? this.metrics.CLS.value : 0;
+    if (this.shiftWindow.value > previous) {
+      this.record('CLS', this.shiftWindow.value);
+    }
+  }
+
+  /**
+   * INP：每次交互取其事件的最长耗时，每 50 次交互忽略一次最慢的，近似第 98 百分位
+   */
+  handleInteraction(entry) {
+    if (!entry.interactionId) return;
+    this.lcpFinal = true;
+
+    const duration = Math.max(entry.duration, this.interactions.get(entry.interactionId) || 0);
+    this.interactions.set(entry.interactionId, duration);
+
+    const durations = [...this.interactions.values()].sort((a, b) => b - a);
+    const value = durations[Math.min(Math.floor(this.interactions.size / 50), durations.length - 1)];
+    if (!this.metrics.INP || value !== this.metrics.INP.value) {
+      this.record('INP', value);
+    }
+  }
+
+  /**
+   * 记录指标；final 的指标立即输出，其余等待 flush()
+   */
+  record(name, value, { final = false } = {}) {
+    const [good, poor] = PerformanceMonitor.thresholds[name];
+    const rating = value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+    const metric = { name, value, rating, route: this.route };
+    this.metrics[name] = metric;
+
+    if (final) {
+      this.send('metric', metric);
+    } else {
+      this.changed.add(name);
+    }
+    this.notify();
+  }
+
+  /**
+   * 输出有变化的指标，在页面隐藏或卸载时调用
+   */
+  flush() {
+    this.changed.forEach(name => this.send('metric', this.metrics[name]));
+    this.changed.clear();
+  }
+
+  /**
+   * 开始一次页面切换的计时
+   */
+  startNavigation(route) {
+    this.route = route;
+    return new RouteTiming(route, () => this.view.performance.now());
+  }
+
+  /**
+   * 页面切换完成，route 为最终渲染的页面（可能回退为 404）
+   */
+  finishNavigation(timing, { route = timing.route, prerendered = false } = {}) {
+    this.route = route;
+    const navigation = {
+      route,
+      prerendered,
+      total: timing.now() - timing.start,
+      phases: timing.phases
+    };
+
+    this.navigations.unshift(navigation);
+    this.navigations.length = Math.min(this.navigations.length, this.maxNavigations);
+    this.send('navigation', navigation);
+    this.notify();
+  }
+
+  /**
+   * 交给输出端，输出端出错不影响页面
+   */
+  send(type, report) {
+    if (!this.sink || !this.sink[type]) return;
+    try {
+      this.sink[type](report);
+    } catch (error) {
+      console.error('Performance sink failed:', error);
+    }
+  }
+
+  /**
+   * 通知订阅者
+   */
+  notify() {
+    this.subscribers.forEach(handler => handler(this));
+  }
+}
+
+/**
+ * 各指标“良好”与“较差”的分界，与 web.dev 的 Core Web Vitals 标准一致（CLS 无单位，其余为毫秒）
+ */
+PerformanceMonitor.thresholds = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+/**
+ * 指标输出端：接收 APP_CONFIG.performance 中同名的配置与 start() 的 context，返回 { metric, navigation }
+ */
+PerformanceMonitor.sinks = {
+  /**
+   * 开发调试：只输出到控制台
+   */
+  console() {
+    return {
+      metric: ({ name, value, rating, route }) => console.log('[performance]', name, value, rating, route),
+      navigation: ({ route, total, phases }) => console.log('[performance] navigation', route, total, phases)
+    };
+  },
+
+  /**
+   * 作为统计事件上报，随访问统计一起遵循访客的同意选择
+   */
+  analytics(options, { analytics }) {
+    return {
+      metric: ({ name, value, rating, route }) => {
+        analytics.event('web_vitals', { name, value: Math.round(name === 'CLS' ? value * 1000 : value), rating, route });
+      },
+      navigation: ({ route, total }) => analytics.event('route_timing', { route, total: Math.round(total) })
+    };
+  },
+
+  /**
+   * 通过 sendBeacon 发送到收集端，以纯文本发送以免跨域预检
+   */
+  beacon({ endpoint }, { view }) {
+    if (!endpoint) {
+      throw new Error('Performance beacon endpoint is not configured');
+    }
+
+    const send = (type, report) => {
+      view.navigator.sendBeacon(endpoint, JSON.stringify({ type, ...report, url: view.location.href }));
+    };
+    return {
+      metric: metric => send('metric', metric),
+      navigation: navigation => send('navigation', navigation)
+    };
+  }
+};
+
 class ModernWebApp {
-  constructor() {
+  /**
+   * root 为应用的挂载范围（默认整个文档），DOM 查询与事件监听都限定在其中；
+   * routes 替换内置路由表，可以是数组或 app => routes 函数（便于在 app.getRoutes() 的基础上增删）；
+   * config 与 APP_CONFIG 深度合并。构造时不接触 DOM，调用 start() 后才开始运行
+   */
+  constructor({ root = typeof document !== 'undefined' ? document : null, routes = null, config = {} } = {}) {
+    this.config = mergeConfig(APP_CONFIG, config);
+    this.root = root;
+    this.document = root && (root.ownerDocument || root);
+    this.window = this.document && this.document.defaultView;
+    // 进度条、提示条等浮层的插入位置
+    this.host = root && (root.body || root);
+    // start() 时创建，destroy() 时中止以移除全部事件监听
+    this.lifecycle = null;
     this.currentPage = 'home';
+    this.currentParams = {};
     this.isLoading = false;
+    this.hasRendered = false;
     this.animationObserver = null;
+    // 插入 <head> 的预加载链接，destroy() 时移除
+    this.preloadLinks = [];
+
+    // 当前已挂载的页面 { route, params }，离开时据此调用 beforeLeave / unmount
+    this.activeRoute = null;
+
+    // 生命周期钩子的订阅者，见 on()
+    this.listeners = new Map();
+
+    // 国际化
+    this.i18n = new I18n(this.config.i18n, MESSAGES);
+
+    // 主题
+    this.theme = new ThemeManager(this.config.theme, () => this.updateThemeToggle(), this.window);
+
+    // 访问统计
+    this.analytics = new Analytics(this.config.analytics);
+
+    // 客户端错误上报
+    this.errors = new ErrorReporter(this.config.errorReporting, this.window);
+
+    // Web Vitals 与页面切换计时，?debug=1 时显示调试面板
+    this.performance = new PerformanceMonitor(this.config.performance, this.window);
+    this.debugPanel = null;
+
+    // 内容仓库
+    this.content = new ContentStore(this.config.content.baseUrl, this.config.i18n.defaultLocale);
+
+    // GitHub 仓库动态
+    this.githubFeed = this.config.github.enabled ? new GitHubRepoFeed(this.config.github) : null;
+
+    // 路由表
+    const routeTable = typeof routes === 'function' ? routes(this) : routes;
+    this.router = new Router(routeTable || this.getRoutes(), this.getNotFoundRoute());
+
+    // 各历史记录的滚动位置，以 history.state.key 为键
+    this.scrollPositions = this.readScrollPositions();
+
+    // 命令面板（Ctrl/Cmd+K），索引在首次打开时构建
+    this.searchIndex = null;
+    this.palette = new CommandPalette({
+      t: (key, vars) => this.t(key, vars),
+      loadItems: () => this.getSearchIndex(),
+      container: this.host
+    });
+
+    // data-action 按钮对应的操作
+    this.actions = {
+      retry: () => {
+        const { page, params, query, hash, url, replace, restoreScroll } = this.navigation;
+        this.loadPage(page, params, { query, hash, url, replace, restoreScroll });
+      },
+      'toggle-locale': () => this.switchLocale(this.getNextLocale()),
+      'cycle-theme': () => this.theme.set(this.theme.next()),
+      'open-palette': () => this.palette.open(),
+      'skip-to-content': () => this.focusElement(this.document.getElementById('main-content')),
+      'apply-update': () => this.applyUpdate(),
+      'dismiss-update': trigger => trigger.closest('.update-prompt').remove(),
+      'accept-analytics': () => this.setAnalyticsConsent(true),
+      'decline-analytics': () => this.setAnalyticsConsent(false),
+      'close-debug': () => this.setDebugPanel(false),
+      'print-resume': () => this.window.print(),
+      'download-resume-text': () => this.downloadResumeText(),
+      'toggle-timeline': trigger => this.toggleTimelineItem(trigger)
+    };
+
+    // 绑定方法上下文
+    this.handleNavigation = this.handleNavigation.bind(this);
+    this.handleAction = this.handleAction.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleMobileMenu = this.handleMobileMenu.bind(this);
+  }
+
+  /**
+   * 启动应用：绑定事件并加载初始页面，返回实例本身
+   * 与构造函数分开，预渲染脚本可以在 Node 中只构造实例、调用页面渲染函数
+   */
+  start() {
+    if (this.lifecycle) return this;
+    this.lifecycle = new this.window.AbortController();
+
+    // 等待DOM完全加载
+    if (this.document.readyState === 'loading') {
+      this.listen(this.document, 'DOMContentLoaded', () => this.setup());
+    } else {
+      this.setup();
+    }
+    return this;
+  }
+
+  /**
+   * 停止应用：移除全部事件监听、观察者与定时器，卸载当前页面并移除应用插入的浮层
+   * 主内容保持不变，之后可以在同一页面上重新创建实例并 start()
+   */
+  destroy() {
+    if (!this.lifecycle) return;
+
+    this.lifecycle.abort();
+    this.lifecycle = null;
+
+    if (this.navigation) {
+      this.navigation.controller.abort();
+    }
+    this.unmountRoute();
+    this.palette.close();
+    this.closeMobileMenu();
+    this.theme.unwatch();
+    this.saveScrollPositions();
+
+    [this.animationObserver, this.imageObserver].forEach(observer => observer && observer.disconnect());
+    [this.progressTimer, this.toastTimer, this.resizeTimer].forEach(timer => clearTimeout(timer));
+    this.errors.flush();
+    this.performance.stop();
+    this.setDebugPanel(false, { persist: false });
+    this.window.cancelAnimationFrame(this.scrollAnimation);
+
+    this.root.querySelectorAll('.progress-bar, .update-prompt, .consent-banner, .toast').forEach(element => element.remove());
+    this.preloadLinks.forEach(link => link.remove());
+    this.preloadLinks = [];
+    this.listeners.clear();
+  }
+
+  /**
+   * 绑定事件监听，destroy() 时统一移除
+   */
+  listen(target, type, handler, options = {}) {
+    target.addEventListener(type, handler, { ...options, signal: this.lifecycle.signal });
+  }
+
+  /**
+   * 核心功能设置
+   */
+  setup() {
+    this.theme.watch();
+    this.setupNavigation();
+    this.setupScrollEffects();
+    this.setupAnimations();
+    this.setupMobileMenu();
+    this.setupMenubar();
+    this.setupProgressBar();
+    this.setupAnalytics();
+    this.setupErrorReporting();
+    this.setupPerformanceMonitoring();
+    this.setupPerformanceOptimizations();
+    this.registerServiceWorker();
+    
+    // 加载初始页面
+    this.normalizeInitialURL();
+    const { route, params } = this.getPageFromURL();
+    this.loadPage(route.name, params, { restoreScroll: true });
+    
+    console.log('🚀 Modern Web App initialized');
+  }
+
+  /**
+   * 路由表
+   * 新增页面只需在此添加一项：path 支持 :param 参数，可选的 load(params, { signal }) 异步获取页面数据
+   * （signal 在导航被新的导航取代时中止），
+   * render(params, data, query) 返回页面HTML（返回 null 表示资源不存在，将渲染404页面），
+   * 可选的 mount(params, data) 在内容插入后挂载页面交互，可选的 unmount(params) 在内容被替换前卸载，
+   * 可选的 beforeLeave(params, to) 返回 false 时阻止离开该页面，
+   * 可选的 renderError(params, error) 在加载或渲染失败时返回该页面自己的错误界面，
+   * 可选的 update() 在前进/后退仅改变查询参数时更新页面（否则重新加载页面），
+   * title 为 (params, data) => string 以便随语言切换，meta.shortcut 对应 Alt+数字 快捷键，
+   * meta.section 指定需要高亮的导航项，meta.icon 为命令面板中显示的图标
+   */
+  getRoutes() {
+    return [
+      {
+        name: 'home',
+        path: '/',
+        title: () => this.t('titles.home'),
+        render: () => this.getHomeContent(),
+        seo: () => ({ description: this.t('seo.home'), structuredData: this.getPersonSchema() }),
+        meta: { shortcut: '1', icon: 'fas fa-home' }
+      },
+      {
+        name: 'about',
+        path: '/about',
+        title: () => this.t('titles.about'),
+        load: (params, { signal }) => this.loadAboutContent({ signal }),
+        render: (params, about) => this.getAboutContent(about),
+        seo: () => ({ description: this.t('seo.about'), type: 'profile', structuredData: this.getPersonSchema() }),
+        meta: { shortcut: '2', icon: 'fas fa-user' }
+      },
+      {
+        name: 'resume',
+        path: '/resume',
+        title: () => this.t('titles.resume'),
+        load: (params, { signal }) => this.content.get('resume.json', { signal }),
+        render: (params, resume) => this.getResumeContent(resume),
+        // 下载纯文本版本时使用
+        mount: (params, resume) => {
+          this.resume = resume;
+        },
+        unmount: () => {
+          this.resume = null;
+        },
+        seo: () => ({ description: this.t('seo.resume'), type: 'profile', structuredData: this.getPersonSchema() }),
+        meta: { section: 'about', icon: 'fas fa-file-lines' }
+      },
+      {
+        name: 'projects',
+        path: '/projects',
+        title: () => this.t('titles.projects'),
+        load: (params, { signal }) => this.content.get('projects.json', { signal }),
+        render: (params, data, query) => this.getProjectsContent(data, query),
+        mount: (params, data) => {
+          this.mountProjectFilter(data);
+          this.mountGitHubRepos();
+        },
+        // 页面中没有筛选区域时 mountProjectFilter 不会创建控制器
+        unmount: () => {
+          if (this.projectFilter) {
+            this.projectFilter.detach();
+            this.projectFilter = null;
+          }
+        },
+        update: () => {
+          if (this.projectFilter) {
+            this.projectFilter.apply(ProjectFilter.parse(this.getCurrentQuery()));
+          }
+        },
+        seo: () => ({ description: this.t('seo.projects') }),
+        meta: { shortcut: '3', icon: 'fas fa-folder-open' }
+      },
+      {
+        name: 'project',
+        path: '/projects/:slug',
+        title: (params, data) => {
+          const project = this.findProject(data.projects, params.slug);
+          return project ? this.t('titles.project', { title: project.title }) : null;
+        },
+        load: (params, { signal }) => this.content.get('projects.json', { signal }),
+        render: (params, data) => this.getProjectDetailContent(this.findProject(data.projects, params.slug)),
+        entries: async () => {
+          const { projects } = await this.content.get('projects.json');
+          return projects.map(project => ({ slug: project.slug }));
+        },
+        seo: (params, data) => {
+          const project = this.findProject(data.projects, params.slug);
+          const [screenshot] = project.screenshots || [];
+          return {
+            description: project.description,
+            image: screenshot ? screenshot.src : null,
+            structuredData: this.getProjectSchema(project)
+          };
+        },
+        meta: { section: 'projects' }
+      },
+      {
+        name: 'contact',
+        path: '/contact',
+        title: () => this.t('titles.contact'),
+        load: (params, { signal }) => this.content.get('contact.json', { signal }),
+        render: (params, contact) => this.getContactContent(contact),
+        mount: () => this.mountContactForm(),
+        // 页面中没有表单时 mountContactForm 不会创建控制器
+        unmount: () => {
+          if (this.contactForm) {
+            this.contactForm.detach();
+            this.contactForm = null;
+          }
+        },
+        // 消息发送中离开会丢失发送结果，先请访客确认
+        beforeLeave: () => !this.contactForm
+          || this.contactForm.state !== 'submitting'
+          || this.window.confirm(this.t('contactForm.leaveConfirm')),
+        seo: () => ({ description: this.t('seo.contact') }),
+        meta: { shortcut: '4', icon: 'fas fa-envelope' }
+      },
+      {
+        name: 'blog',
+        path: '/blog',
+        title: () => this.t('titles.blog'),
+        load: (params, { signal }) => this.loadBlogPosts({ signal }),
+        render: (params, posts) => this.getBlogIndexContent(posts),
+        seo: () => ({ description: this.t('seo.blog') }),
+        meta: { shortcut: '5', icon: 'fas fa-pen-nib' }
+      },
+      {
+        name: 'blog-tag',
+        path: '/blog/tags/:tag',
+        title: params => this.t('titles.blogTag', { tag: params.tag }),
+        load: (params, { signal }) => this.loadBlogPosts({ signal }),
+        render: (params, posts) => this.getBlogTagContent(posts, params.tag),
+        entries: async () => {
+          const posts = await this.loadBlogPosts();
+          return [...new Set(posts.flatMap(post => post.tags))].map(tag => ({ tag }));
+        },
+        seo: params => ({ description: this.t('seo.blogTag', { tag: params.tag }) }),
+        meta: { section: 'blog' }
+      },
+      {
+        name: 'blog-post',
+        path: '/blog/:slug',
+        title: (params, posts) => {
+          const post = posts.find(item => item.slug === params.slug);
+          return post ? this.t('titles.blogPost', { title: post.title }) : null;
+        },
+        load: (params, { signal }) => this.loadBlogPosts({ signal }),
+        render: (params, posts) => this.getBlogPostContent(posts, params.slug),
+        entries: async () => (await this.loadBlogPosts()).map(post => ({ slug: post.slug })),
+        seo: (params, posts) => {
+          const post = posts.find(item => item.slug === params.slug);
+          return { description: post.summary, type: 'article', structuredData: this.getBlogPostingSchema(post) };
+        },
+        meta: { section: 'blog' }
+      }
+    ];
+  }
+
+  /**
+   * 未匹配任何路由时使用的404路由
+   */
+  getNotFoundRoute() {
+    return {
+      name: 'not-found',
+      path: '*',
+      title: () => this.t('titles.notFound'),
+      render: () => this.get404Content(),
+      seo: () => ({ description: this.t('seo.notFound'), robots: 'noindex' }),
+      meta: {}
+    };
+  }
+
+  /**
+   * 从URL解析当前路由及参数
+   */
+  getPageFromURL() {
+    return this.router.match(this.splitLocale(this.getCurrentPath()).path);
+  }
+
+  /**
+   * 获取当前URL的查询参数
+   * 哈希模式下查询字符串位于哈希内（/#/projects?tag=React）
+   */
+  getCurrentQuery() {
+    const { search, hash } = this.window.location;
+    if (hash.startsWith('#/')) {
+      const query = hash.split('#')[1].split('?')[1] || '';
+      return new URLSearchParams(query);
+    }
+    return new URLSearchParams(search);
+  }
+
+  /**
+   * 获取当前URL的锚点（不含 #）
+   * 哈希模式下锚点位于路由之后（/#/about#tech-stack）
+   */
+  getCurrentFragment() {
+    const { hash } = this.window.location;
+    const fragment = hash.startsWith('#/') ? hash.slice(1).split('#')[1] : hash.slice(1);
+    return fragment ? this.decodeFragment(fragment) : '';
+  }
+
+  /**
+   * 解码锚点，编码不合法（如 #%E0）时原样返回
+   */
+  decodeFragment(fragment) {
+    try {
+      return decodeURIComponent(fragment);
+    } catch (error) {
+      return fragment;
+    }
+  }
+
+  /**
+   * 更新当前页面的查询字符串，默认新增一条历史记录
+   */
+  updateQuery(query, { replace = false } = {}) {
+    const path = this.router.buildPath(this.currentPage, this.currentParams);
+    const search = query.toString();
+
+    this.navigation.query = query;
+    this.commitHistory({
+      page: this.currentPage,
+      params: this.currentParams,
+      url: this.toURL(search ? `${path}?${search}` : path),
+      replace
+    });
+  }
+
+  /**
+   * 当前页面内锚点的完整地址
+   */
+  getFragmentURL(id) {
+    const { pathname, search, hash } = this.window.location;
+    const base = hash.startsWith('#/') ? `${pathname}#${hash.slice(1).split('#')[0]}` : pathname + search;
+    return `${base}#${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * 跳转到当前页面内的锚点，并新增一条带锚点的历史记录
+   */
+  goToFragment(id, { replace = false } = {}) {
+    const target = this.document.getElementById(id);
+    if (!target) return;
+
+    this.commitHistory({
+      page: this.currentPage,
+      params: this.currentParams,
+      url: this.getFragmentURL(id),
+      replace
+    });
+    this.scrollToElement(target);
+    this.focusElement(target);
+  }
+
+  /**
+   * 获取当前路由路径
+   * 同时识别哈希URL（/#/about）与干净URL（/about），与当前路由模式无关
+   */
+  getCurrentPath() {
+    const { pathname, hash } = this.window.location;
+    if (hash.startsWith('#/')) {
+      return hash.slice(1).split(/[?#]/)[0];
+    }
+    return pathname;
+  }
+
+  /**
+   * 拆分路径中的语言前缀，如 /en/projects → { locale: 'en', path: '/projects' }
+   * 无前缀时 locale 为 null
+   */
+  splitLocale(path) {
+    const { locales, defaultLocale } = this.config.i18n;
+    const prefixed = locales.filter(locale => locale !== defaultLocale);
+    const match = new RegExp(`^/(${prefixed.join('|')})(?=[/?#]|$)`).exec(path);
+    if (!match) return { locale: null, path };
+
+    const rest = path.slice(match[0].length);
+    return { locale: match[1], path: rest.startsWith('/') ? rest : `/${rest}` };
+  }
+
+  /**
+   * 将路由路径转换为当前路由模式下的URL，非默认语言添加前缀
+   */
+  toURL(path, locale = this.i18n.locale) {
+    const localized = this.localizePath(path, locale);
+    return this.config.routing.mode === 'hash' ? `/#${localized}` : localized;
+  }
+
+  /**
+   * 为路由路径添加语言前缀（默认语言不加前缀）
+   */
+  localizePath(path, locale = this.i18n.locale) {
+    if (locale === this.config.i18n.defaultLocale) return path;
+    return path === '/' || /^\/[?#]/.test(path) ? `/${locale}${path.slice(1)}` : `/${locale}${path}`;
+  }
+
+  /**
+   * 生成指定路由的链接地址
+   */
+  routeHref(page, params = {}) {
+    const path = this.router.buildPath(page, params);
+    return path ? this.toURL(path) : '#';
+  }
+
+  /**
+   * 规范化初始URL
+   * 恢复 404.html 以 ?redirect= 带回的原始路径，确定界面语言，并将URL转换为当前路由模式与语言的格式
+   */
+  normalizeInitialURL() {
+    const { pathname, search, hash } = this.window.location;
+    const redirect = new URLSearchParams(search).get('redirect');
+
+    let path;
+    if (redirect && /^\/(?!\/)/.test(redirect)) {
+      path = redirect;
+    } else if (hash.startsWith('#/')) {
+      path = hash.slice(1);
+    } else {
+      path = Router.normalize(pathname) + search + hash;
+    }
+
+    // URL中的语言前缀优先，否则使用保存的选择或浏览器语言
+    const { locale, path: localePath } = this.splitLocale(path);
+    this.applyLocale(locale || this.i18n.detect(this.window.navigator));
+
+    // 为首个历史记录分配标识，用于记录滚动位置
+    const state = this.window.history.state && this.window.history.state.key
+      ? this.window.history.state
+      : { ...this.window.history.state, key: this.createHistoryKey() };
+
+    const url = this.toURL(localePath);
+    if (url !== pathname + search + hash || state !== this.window.history.state) {
+      this.window.history.replaceState(state, '', url);
+    }
+  }
+
+  /**
+   * 为 data-page 链接填充真实地址，支持新标签页打开与复制链接
+   */
+  syncLinkHrefs(root) {
+    root.querySelectorAll('a[data-page]').forEach(link => {
+      link.setAttribute('href', this.routeHref(link.dataset.page, this.getLinkParams(link)));
+    });
+  }
+
+  /**
+   * 读取链接上 data-params 携带的路由参数
+   */
+  getLinkParams(link) {
+    return Object.fromEntries(new URLSearchParams(link.dataset.params || ''));
+  }
+
+  /**
+   * 获取界面文案
+   */
+  t(key, vars) {
+    return this.i18n.t(key, vars);
+  }
+
+  /**
+   * 应用界面语言：同步 <html lang>、静态文案与链接地址
+   */
+  applyLocale(locale) {
+    this.i18n.locale = locale;
+    this.content.locale = locale;
+    this.document.documentElement.lang = locale;
+
+    this.root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    this.root.querySelectorAll('[data-i18n-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+    });
+
+    this.syncLinkHrefs(this.root);
+    this.updateThemeToggle();
+  }
+
+  /**
+   * 更新主题切换按钮的图标与说明
+   */
+  updateThemeToggle() {
+    const toggle = this.root.querySelector('[data-action="cycle-theme"]');
+    if (!toggle) return;
+
+    const icons = {
+      light: 'fas fa-sun',
+      dark: 'fas fa-moon',
+      system: 'fas fa-circle-half-stroke'
+    };
+    const { preference } = this.theme;
+    const label = this.t('theme.toggleLabel', { theme: this.t(`theme.${preference}`) });
+
+    toggle.querySelector('i').className = icons[preference];
+    toggle.setAttribute('aria-label', label);
+    toggle.setAttribute('title', label);
+  }
+
+  /**
+   * 语言切换按钮的目标语言
+   */
+  getNextLocale() {
+    const { locales } = this.config.i18n;
+    return locales[(locales.indexOf(this.i18n.locale) + 1) % locales.length];
+  }
+
+  /**
+   * 翻译并插入 HTML 片段：文案本身转义，{name} 占位符替换为 vars 中的 html`` 片段
+   */
+  tHTML(key, vars = {}) {
+    const placeholders = Object.fromEntries(Object.keys(vars).map(name => [name, `{${name}}`]));
+    const message = escapeHTML(this.t(key, placeholders));
+    return trusted(message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? renderHTMLValue(vars[name]) : match)));
+  }
+
+  /**
+   * 切换界面语言，保存选择并以新语言重新渲染当前页面
+   */
+  switchLocale(locale) {
+    if (locale === this.i18n.locale) return;
+
+    // 以当前（可能尚未完成的）导航为准；404 页面没有对应路由，沿用当前地址
+    const { page, params, query } = this.navigation;
+    const path = this.router.buildPath(page, params) || this.splitLocale(this.getCurrentPath()).path;
+    const search = query.toString();
+
+    // 先确认能否离开，再切换语言，避免被阻止后界面语言与页面内容不一致
+    if (!this.confirmNavigation({ page, params, query, hash: '' })) return;
+
+    this.i18n.savePreference(locale);
+    this.applyLocale(locale);
+    this.loadPage(page, params, { query, url: this.toURL(search ? `${path}?${search}` : path), guard: false });
+  }
+
+  /**
+   * 更新 hreflang 备用链接，指向当前页面的各语言版本
+   */
+  updateAlternateLinks() {
+    const { path } = this.splitLocale(this.getCurrentPath());
+
+    this.root.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+
+    this.getAlternateLinks(path).forEach(({ hreflang, href }) => {
+      const link = this.document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = href;
+      this.document.head.appendChild(link);
+    });
+  }
+
+  /**
+   * 路由路径在各语言下的地址，x-default 指向默认语言
+   */
+  getAlternateLinks(path) {
+    const { locales, defaultLocale } = this.config.i18n;
+    return [...locales, 'x-default'].map(hreflang => ({
+      hreflang,
+      href: this.getCanonicalURL(path, hreflang === 'x-default' ? defaultLocale : hreflang)
+    }));
+  }
+
+  /**
+   * 设置导航系统
+   */
+  setupNavigation() {
+    // 导航链接点击处理
+    this.listen(this.root, 'click', this.handleNavigation);
+    
+    // data-action 按钮点击处理
+    this.listen(this.root, 'click', this.handleAction);
+    
+    // 浏览器前进/后退处理
+    this.listen(this.window, 'popstate', this.handlePopState);
+    
+    // 键盘导航支持
+    this.listen(this.root, 'keydown', this.handleKeyboardNavigation.bind(this));
+  }
+
+  /**
+   * 处理导航点击
+   * 链接通过 data-page 指定路由名称，data-params 以查询字符串形式携带路由参数，
+   * 可选的 data-hash 指定目标页面内的锚点；页内锚点链接（href="#id"）在当前页面内滚动
+   */
+  handleNavigation(event) {
+    const link = event.target.closest('[data-page], a[data-fragment], a[href^="#"]:not([href="#"]):not([href^="#/"]):not([data-action])');
+    if (!link) return;
+    
+    // 保留修饰键点击的浏览器默认行为（新标签页/新窗口打开）
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    event.preventDefault();
+    
+    if (!link.dataset.page) {
+      this.goToFragment(link.dataset.fragment || this.decodeFragment(link.getAttribute('href').slice(1)));
+      return;
+    }
+    
+    const page = link.dataset.page;
+    const params = this.getLinkParams(link);
+    const hash = link.dataset.hash || '';
+    if (this.isCurrentRoute(page, params)) {
+      if (hash) this.goToFragment(hash);
+      return;
+    }
+    
+    this.navigateTo(page, params, { hash });
+  }
+
+  /**
+   * 处理 data-action 按钮，操作定义在 this.actions 中
+   */
+  handleAction(event) {
+    const trigger = event.target.closest('[data-action]');
+    if (!trigger) return;
+
+    const action = this.actions[trigger.dataset.action];
+    if (!action) return;
+
+    event.preventDefault();
+    action(trigger, event);
+  }
+
+  /**
+   * 判断目标是否为当前路由
+   */
+  isCurrentRoute(page, params = {}) {
+    if (page !== this.currentPage) return false;
+
+    const keys = new Set([...Object.keys(params), ...Object.keys(this.currentParams)]);
+    return [...keys].every(key => params[key] === this.currentParams[key]);
+  }
+
+  /**
+   * 处理浏览器前进/后退
+   */
+  handlePopState() {
+    const { route, params } = this.getPageFromURL();
+    const query = this.getCurrentQuery();
+    const hash = this.getCurrentFragment();
+    const locale = this.splitLocale(this.getCurrentPath()).locale || this.config.i18n.defaultLocale;
+    const samePage = locale === this.i18n.locale && !this.isLoading && this.isCurrentRoute(route.name, params);
+
+    // 浏览器已切换到目标记录，导航被阻止时重新写入当前页面的地址
+    if (!samePage && !this.confirmNavigation({ page: route.name, params, query, hash })) {
+      this.restoreCurrentURL();
+      return;
+    }
+
+    if (locale !== this.i18n.locale) {
+      this.applyLocale(locale);
+    }
+
+    if (samePage) {
+      // 仅锚点变化：恢复该记录的滚动位置
+      if (query.toString() === this.navigation.query.toString()) {
+        this.applyScroll({ restore: true, hash });
+        return;
+      }
+
+      // 仅查询参数变化（如项目筛选）时由页面自行更新
+      if (route.update) {
+        this.navigation.query = query;
+        route.update();
+        this.applyScroll({ restore: true, hash });
+        return;
+      }
+    }
+    this.loadPage(route.name, params, { restoreScroll: true, guard: false });
+  }
+
+  /**
+   * 前进/后退被阻止后，以新记录恢复当前页面的地址（浏览器不支持撤销历史切换）
+   */
+  restoreCurrentURL() {
+    const { page, params, query, hash } = this.navigation;
+    const path = this.router.buildPath(page, params);
+    if (!path) return;
+
+    const search = query.toString();
+    const fragment = hash ? `#${encodeURIComponent(hash)}` : '';
+    this.commitHistory({ page, params, url: this.toURL(search ? `${path}?${search}` : path) + fragment });
+  }
+
+  /**
+   * 键盘导航支持
+   */
+  handleKeyboardNavigation(event) {
+    // Ctrl/Cmd + K 打开命令面板
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+      event.preventDefault();
+      this.palette.toggle();
+      return;
+    }
+
+    // Alt + 数字键快速导航，快捷键由路由表的 meta.shortcut 声明
+    if (event.altKey && event.key >= '1' && event.key <= '9') {
+      const route = this.router.routes.find(item => item.meta && item.meta.shortcut === event.key);
+      if (route) {
+        event.preventDefault();
+        this.navigateTo(route.name);
+      }
+    }
+  }
+
+  /**
+   * 导航到指定页面，可选的 query 为附加到地址上的查询参数，hash 为页面内的锚点
+   * 新地址在页面渲染成功后才写入历史记录
+   */
+  navigateTo(page, params = {}, { query = new URLSearchParams(), hash = '' } = {}) {
+    const path = this.router.buildPath(page, params);
+    if (!path) return Promise.resolve(false);
+    const search = query.toString();
+    const url = search ? `${path}?${search}` : path;
+    const fragment = hash ? `#${encodeURIComponent(hash)}` : '';
+
+    return this.loadPage(page, params, { query, hash, url: this.toURL(url) + fragment });
+  }
+
+  /**
+   * 加载页面内容
+   * query 与 hash 为页面的查询参数与锚点（默认取当前地址）；提供 url 时在渲染成功后写入历史记录，
+   * replace 为 true 时替换当前记录；restoreScroll 为 true 时恢复该记录保存的滚动位置；
+   * guard 为 false 时跳过离开确认与 beforeNavigate（调用方已确认过）。
+   * 新的加载会中止尚未完成的加载。页面加载完成时返回 true，被阻止、取代或失败时返回 false
+   */
+  async loadPage(page, params = {}, {
+    query = this.getCurrentQuery(),
+    hash = this.getCurrentFragment(),
+    url = null,
+    replace = false,
+    restoreScroll = false,
+    guard = true
+  } = {}) {
+    if (guard && !this.confirmNavigation({ page, params, query, hash })) {
+      return false;
+    }
+
+    if (this.navigation) {
+      this.navigation.controller.abort();
+    }
+    const controller = new AbortController();
+    const { signal } = controller;
+    const navigation = { controller, page, params, query, hash, url, replace, restoreScroll };
+    this.navigation = navigation;
+    
+    const target = this.router.get(page) || this.router.notFound;
+    let route = target;
+    
+    this.isLoading = true;
+    
+    // 获取主内容容器
+    const mainContent = this.document.getElementById('main-content');
+    if (!mainContent) {
+      console.error('Main content container not found');
+      this.isLoading = false;
+      return false;
+    }
+    
+    this.startProgress();
+    const timing = this.performance.startNavigation(route.name);
+    
+    // 页面已由预渲染脚本生成时直接复用现有内容，只挂载交互
+    const hydrate = this.isPrerendered(mainContent);
+    
+    try {
+      // 淡出当前内容的同时获取页面数据
+      const [data] = await Promise.all([
+        route.load ? timing.measure('load', abortable(route.load(params, { signal }), signal)) : null,
+        hydrate ? null : timing.measure('fadeOut', this.fadeOut(mainContent, signal))
+      ]);
+      
+      // 渲染新页面内容，资源不存在时回退到404
+      timing.begin('render');
+      this.emit('beforeRender', { route, params, data, query, prerendered: hydrate });
+      let content = null;
+      if (!hydrate) {
+        content = route.render(params, data, query);
+        if (content == null) {
+          route = this.router.notFound;
+          content = route.render(params);
+        }
+      }
+      
+      // 卸载上一个页面后在现有节点上打补丁，只改动有差异的部分
+      this.unmountRoute();
+      if (!hydrate) {
+        patchDOM(mainContent, content);
+      }
+      this.syncLinkHrefs(mainContent);
+      
+      // 渲染成功后再写入历史记录并切换当前路由，保证地址、导航高亮与内容一致
+      this.commitHistory(navigation);
+      this.setCurrentRoute(target, params);
+      this.assignHeadingIds(mainContent);
+      timing.end('render');
+      this.finishProgress();
+      this.emit('afterRender', { route, params, data, root: mainContent, prerendered: hydrate });
+      
+      // 淡入新内容
+      if (!hydrate) {
+        await timing.measure('fadeIn', this.fadeIn(mainContent, signal));
+      }
+      
+      // 重新设置动画
+      this.setupScrollAnimations();
+      
+      // 挂载页面交互
+      this.activeRoute = { route, params };
+      if (route.mount) {
+        route.mount(params, data);
+      }
+      
+      // 恢复滚动位置、滚动到锚点或回到顶部
+      timing.begin('scroll');
+      this.applyScroll({ restore: restoreScroll, hash });
+      timing.end('scroll');
+      
+      // 更新页面标题、元数据与语言备用链接
+      this.updatePageTitle(route, params, data);
+      this.updateMeta(route, params, data);
+      this.updateAlternateLinks();
+      
+      // 焦点移到新页面并播报标题
+      this.announcePage(mainContent, { hash });
+      this.trackPageView();
+      
+      // 触发页面加载完成事件
+      this.dispatchPageLoadEvent(route.name, params);
+      this.emit('afterNavigate', { route, params, data });
+      this.performance.finishNavigation(timing, { route: route.name, prerendered: hydrate });
+      return true;
+      
+    } catch (error) {
+      // 已被新的导航取代，界面交由新的导航处理
+      if (error.name === 'AbortError') return false;
+      
+      console.error('Error loading page:', error);
+      this.reportError(error, 'navigation', page);
+      this.emit('navigationError', { page, params, error });
+      // 前进/后退与首次加载时地址已是目标页面，当前路由随之切换；点击链接时地址未写入，保持上一个页面
+      if (!url) {
+        this.setCurrentRoute(target, params);
+      }
+      this.unmountRoute();
+      patchDOM(mainContent, this.getErrorBoundary(page, params, error));
+      this.syncLinkHrefs(mainContent);
+      this.finishProgress();
+      await this.fadeIn(mainContent);
+      const heading = mainContent.querySelector('h1');
+      this.announcePage(mainContent, { title: heading ? heading.textContent : this.t('error.title') });
+      return false;
+    } finally {
+      if (this.navigation === navigation) {
+        this.isLoading = false;
+      }
+    }
+  }
+
+  /**
+   * 切换当前路由并更新导航高亮
+   */
+  setCurrentRoute(route, params) {
+    this.currentPage = route.name;
+    this.currentParams = params;
+    this.updateNavigation(route.meta.section || route.name);
+  }
+
+  /**
+   * 主内容是否为当前地址的预渲染结果（见 scripts/prerender.js），仅首次加载时有效
+   */
+  isPrerendered(mainContent) {
+    const { prerendered } = mainContent.dataset;
+    if (prerendered === undefined) return false;
+
+    delete mainContent.dataset.prerendered;
+    return prerendered === Router.normalize(this.getCurrentPath());
+  }
+
+  /**
+   * 页面切换后将焦点移到锚点目标或页面主标题，并通过 aria-live 区域播报新标题
+   * 首次加载保留浏览器默认的焦点位置
+   */
+  announcePage(root, { hash = '', title = this.document.title } = {}) {
+    if (!this.hasRendered) {
+      this.hasRendered = true;
+      return;
+    }
+
+    const target = (hash && this.document.getElementById(hash)) || root.querySelector('h1') || root;
+    this.focusElement(target);
+    this.announce(this.t('a11y.pageLoaded', { title: title.trim() }));
+  }
+
+  /**
+   * 通过 aria-live 区域向读屏软件播报消息
+   * 先清空再延迟写入，保证连续相同的消息也会被朗读
+   */
+  announce(message) {
+    const region = this.root.querySelector('[data-route-announcer]');
+    if (!region) return;
+
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+
+  /**
+   * 聚焦元素而不触发滚动，不可聚焦的元素设置 tabindex="-1"
+   */
+  focusElement(element) {
+    if (!element) return;
+    if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+      element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+  }
+
+  /**
+   * 将导航写入浏览器历史记录
+   * 每条记录带有唯一的 key 以记录滚动位置，替换时沿用原有的 key
+   */
+  commitHistory({ page, params, url, replace }) {
+    if (!url) return;
+
+    const key = replace ? this.getHistoryKey() : this.createHistoryKey();
+    const state = { page, params, key };
+    if (replace) {
+      this.window.history.replaceState(state, '', url);
+    } else {
+      this.window.history.pushState(state, '', url);
+    }
+  }
+
+  /**
+   * 渲染后的滚动位置
+   * 前进/后退时恢复该记录保存的位置；带锚点时滚动到对应元素；否则回到顶部
+   */
+  applyScroll({ restore = false, hash = '' }) {
+    const saved = restore ? this.scrollPositions.get(this.getHistoryKey()) : undefined;
+    if (saved !== undefined) {
+      this.scrollToPosition(saved);
+      return;
+    }
+
+    const target = hash && this.document.getElementById(hash);
+    if (target) {
+      this.scrollToElement(target, { smooth: !restore });
+      return;
+    }
+
+    if (restore) {
+      this.scrollToPosition(0);
+    } else {
+      this.smoothScrollTo(0);
+    }
+  }
+
+  /**
+   * 为页面中没有 id 的章节标题生成 id，使任意章节都可以通过锚点链接；
+   * 正文（.prose）中的标题另外添加悬停可见的锚点链接
+   */
+  assignHeadingIds(root) {
+    root.querySelectorAll('h2, h3').forEach(heading => {
+      if (!heading.id) {
+        const base = slugify(heading.textContent) || 'section';
+        let id = base;
+        for (let index = 2; this.document.getElementById(id); index++) {
+          id = `${base}-${index}`;
+        }
+        heading.id = id;
+      }
+
+      if (heading.closest('.prose')) {
+        const anchor = this.document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = this.getFragmentURL(heading.id);
+        anchor.dataset.fragment = heading.id;
+        anchor.setAttribute('aria-label', this.t('section.link', { title: heading.textContent.trim() }));
+        heading.appendChild(anchor);
+      }
+    });
+  }
+
+  /**
+   * 加载较慢时显示顶部进度条，快速完成的导航不显示
+   */
+  startProgress() {
+    clearTimeout(this.progressTimer);
+    if (this.progressBar.classList.contains('loading')) return;
+
+    this.progressTimer = setTimeout(() => {
+      this.progressBar.classList.remove('done');
+      // 强制重绘，使进度从头开始
+      this.progressBar.offsetWidth;
+      this.progressBar.classList.add('loading');
+    }, this.config.navigation.progressDelay);
+  }
+
+  /**
+   * 完成进度条
+   */
+  finishProgress() {
+    clearTimeout(this.progressTimer);
+    if (!this.progressBar.classList.contains('loading')) return;
+
+    this.progressBar.classList.remove('loading');
+    this.progressBar.classList.add('done');
+  }
+
+  /**
+   * 更新导航状态
+   */
+  updateNavigation(page) {
+    const navLinks = this.root.querySelectorAll('.navbar-link');
+    const footerLinks = this.root.querySelectorAll('.footer-link[data-page]');
     
-    // 绑定方法上下文
-    this.handleNavigation = this.handleNavigation.bind(this);
-    this.handlePopState = this.handlePopState.bind(this);
-    this.handleMobileMenu = this.handleMobileMenu.bind(this);
-    this.handleScroll = this.handleScroll.bind(this);
+    [...navLinks, ...footerLinks].forEach(link => {
+      if (link.dataset.page === page) {
+        link.classList.add('active');
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.classList.remove('active');
+        link.removeAttribute('aria-current');
+      }
+    });
     
-    this.init();
+    // 菜单栏只保留一个 Tab 停靠点：当前页面，没有对应菜单项时为第一项
+    const items = Array.from(navLinks);
+    const current = items.find(link => link.dataset.page === page) || items[0];
+    items.forEach(link => {
+      link.tabIndex = link === current ? 0 : -1;
+    });
   }
 
   /**
-   * 应用初始化
+   * 淡出动画
    */
-  init() {
-    // 等待DOM完全加载
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.setup());
-    } else {
-      this.setup();
-    }
+  fadeOut(element, signal) {
+    element.style.opacity = '0';
+    element.style.transform = 'translateY(20px)';
+    element.style.transition = 'all 250ms cubic-bezier(0.4, 0.0, 0.2, 1.0)';
+    
+    return delay(150, signal);
   }
 
   /**
-   * 核心功能设置
+   * 淡入动画
    */
-  setup() {
-    this.setupNavigation();
-    this.setupScrollEffects();
-    this.setupAnimations();
-    this.setupMobileMenu();
-    this.setupPerformanceOptimizations();
+  async fadeIn(element, signal) {
+    // 强制重绘
+    element.offsetHeight;
     
-    // 加载初始页面
-    const initialPage = this.getPageFromURL();
-    this.loadPage(initialPage);
+    element.style.opacity = '1';
+    element.style.transform = 'translateY(0)';
     
-    console.log('🚀 Modern Web App initialized');
+    await delay(250, signal);
+    element.style.transition = '';
+  }
+
+  /**
+   * 首页内容
+   */
+  getHomeContent() {
+    return html`
+      <!-- 英雄区域 -->
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title animate-fade-in-up">
+            Birtney666
+          </h1>
+          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
+            ${this.t('home.subtitle')}
+          </p>
+          <p class="animate-fade-in-up" style="animation-delay: 0.2s; max-width: 600px; margin: 0 auto var(--space-12); color: var(--text-secondary); font-size: var(--text-lg); line-height: var(--leading-relaxed);">
+            ${this.t('home.intro')}
+          </p>
+          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.3s;">
+            <a href="#" class="btn btn-primary" data-page="projects">
+              <i class="fas fa-code" aria-hidden="true"></i>
+              ${this.t('home.viewProjects')}
+            </a>
+            <a href="#" class="btn btn-secondary" data-page="contact">
+              <i class="fas fa-envelope" aria-hidden="true"></i>
+              ${this.t('home.contactMe')}
+            </a>
+          </div>
+        </div>
+      </section>
+
+      <!-- 核心能力 -->
+      <section class="section">
+        <div class="container">
+          <div class="section-header">
+            <h2 class="section-title animate-on-scroll">${this.t('home.capabilitiesTitle')}</h2>
+            <p class="section-subtitle animate-on-scroll">
+              ${this.t('home.capabilitiesSubtitle')}
+            </p>
+          </div>
+
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
+            <div class="card animate-on-scroll hover-lift">
+              <div class="card-header">
+                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
+                  <i class="fas fa-code" style="font-size: 1.25rem;"></i>
+                </div>
+                <h3 class="card-title">${this.t('home.frontendTitle')}</h3>
+                <p class="card-description">
+                  ${this.t('home.frontendDescription')}
+                </p>
+              </div>
+              <div class="card-content">
+                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">React</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Vue.js</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">TypeScript</span>
+                </div>
+              </div>
+            </div>
+
+            <div class="card animate-on-scroll hover-lift" style="animation-delay: 0.1s;">
+              <div class="card-header">
+                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
+                  <i class="fas fa-server" style="font-size: 1.25rem;"></i>
+                </div>
+                <h3 class="card-title">${this.t('home.backendTitle')}</h3>
+                <p class="card-description">
+                  ${this.t('home.backendDescription')}
+                </p>
+              </div>
+              <div class="card-content">
+                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Node.js</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Python</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Docker</span>
+                </div>
+              </div>
+            </div>
+
+            <div class="card animate-on-scroll hover-lift" style="animation-delay: 0.2s;">
+              <div class="card-header">
+                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
+                  <i class="fas fa-palette" style="font-size: 1.25rem;"></i>
+                </div>
+                <h3 class="card-title">${this.t('home.uxTitle')}</h3>
+                <p class="card-description">
+                  ${this.t('home.uxDescription')}
+                </p>
+              </div>
+              <div class="card-content">
+                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">UI/UX</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Figma</span>
+                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">${this.t('home.prototyping')}</span>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * 加载关于页面数据，故事正文来自 Markdown 文件
+   */
+  async loadAboutContent({ signal } = {}) {
+    const about = await this.content.get('about.json', { signal });
+    const story = await this.content.get(about.story, { signal });
+    return { ...about, story: story.html };
+  }
+
+  /**
+   * 关于页面内容
+   */
+  getAboutContent(about) {
+    return html`
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title animate-fade-in-up">${about.title}</h1>
+          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
+            ${about.subtitle}
+          </p>
+          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.2s;">
+            <a href="/resume" class="btn btn-secondary" data-page="resume">
+              <i class="fas fa-file-lines" aria-hidden="true"></i>
+              ${this.t('resume.view')}
+            </a>
+          </div>
+        </div>
+      </section>
+
+      <section class="section">
+        <div class="container">
+          <div class="grid grid-cols-1 lg:grid-cols-2" style="gap: var(--space-16);">
+            <div class="animate-on-scroll">
+              <h2 style="font-size: var(--text-2xl); font-weight: var(--font-weight-bold); margin-bottom: var(--space-6); color: var(--text-primary);">
+                ${about.storyTitle}
+              </h2>
+              <div class="prose" style="color: var(--text-secondary); line-height: var(--leading-relaxed);">
+                ${trusted(about.story)}
+              </div>
+            </div>
+
+            <div class="animate-on-scroll" style="animation-delay: 0.1s;">
+              <div class="card">
+                <div class="card-header">
+                  <h3 class="card-title" id="tech-stack">${about.techStackTitle}</h3>
+                </div>
+                <div class="card-content">
+                  <div style="display: flex; flex-direction: column; gap: var(--space-8);">
+                    ${about.techStack.map(group => this.getSkillChart(group))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      ${about.timeline && about.timeline.length ? html`
+        <section class="section" style="background: var(--surface-secondary);">
+          <div class="container">
+            <h2 style="font-size: var(--text-2xl); font-weight: var(--font-weight-bold); margin-bottom: var(--space-12); color: var(--text-primary); text-align: center;">
+              ${about.timelineTitle}
+            </h2>
+            <ol class="timeline">
+              ${about.timeline.map((entry, index) => this.getTimelineItem(entry, index))}
+            </ol>
+          </div>
+        </section>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * 技能水平条形图：图形随 animate-on-scroll 进入视口时展开，仅作视觉呈现；
+   * 同样的数据以文字列表提供给读屏软件，减少动态效果时以列表代替图形（见 styles.css）
+   */
+  getSkillChart({ category, items }) {
+    const rowHeight = 28;
+    const labelWidth = 112;
+    const trackWidth = 176;
+    const height = items.length * rowHeight;
+
+    return html`
+      <figure class="skill-chart animate-on-scroll">
+        <figcaption>${category}</figcaption>
+        <svg class="skill-chart-graphic" viewBox="0 0 ${labelWidth + trackWidth + 40} ${height}" width="100%" aria-hidden="true" focusable="false">
+          ${items.map((item, index) => {
+            const y = index * rowHeight;
+            return html`
+              <g transform="translate(0 ${y})">
+                <text x="0" y="${rowHeight / 2}" dominant-baseline="middle" class="skill-chart-label">${item.name}</text>
+                <rect x="${labelWidth}" y="${rowHeight / 2 - 5}" width="${trackWidth}" height="10" rx="5" class="skill-chart-track"></rect>
+                <rect x="${labelWidth}" y="${rowHeight / 2 - 5}" width="${trackWidth * item.level / 100}" height="10" rx="5" class="skill-chart-bar" style="transition-delay: ${index * 60}ms;"></rect>
+                <text x="${labelWidth + trackWidth + 8}" y="${rowHeight / 2}" dominant-baseline="middle" class="skill-chart-value">${item.level}%</text>
+              </g>
+            `;
+          })}
+        </svg>
+        <ul class="skill-chart-text">
+          ${items.map(item => html`<li>${this.t('about.skillLevel', { name: item.name, level: item.level })}</li>`)}
+        </ul>
+      </figure>
+    `;
+  }
+
+  /**
+   * 经历时间线中的一项，有详情时点击标题展开
+   */
+  getTimelineItem(entry, index) {
+    const detailsId = `timeline-details-${index}`;
+    const hasDetails = Boolean(entry.details && entry.details.length);
+
+    return html`
+      <li class="timeline-item animate-on-scroll">
+        <span class="timeline-marker" aria-hidden="true">
+          <i class="${entry.icon || 'fas fa-circle'}"></i>
+        </span>
+        <div class="timeline-card">
+          <time class="timeline-date" datetime="${entry.date}">${this.formatMonth(entry.date)}</time>
+          <h3 class="timeline-title">
+            ${hasDetails ? html`
+              <button type="button" class="timeline-toggle" data-action="toggle-timeline" aria-expanded="false" aria-controls="${detailsId}">
+                <span>${entry.title}</span>
+                <i class="fas fa-chevron-down" aria-hidden="true"></i>
+              </button>
+            ` : entry.title}
+          </h3>
+          ${entry.organization ? html`<p class="timeline-organization">${entry.organization}</p>` : ''}
+          <p>${entry.summary}</p>
+          ${hasDetails ? html`
+            <ul class="timeline-details" id="${detailsId}" hidden>
+              ${entry.details.map(detail => html`<li>${detail}</li>`)}
+            </ul>
+          ` : ''}
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * 展开或收起时间线条目的详情
+   */
+  toggleTimelineItem(trigger) {
+    const details = this.document.getElementById(trigger.getAttribute('aria-controls'));
+    if (!details) return;
+
+    const expanded = trigger.getAttribute('aria-expanded') === 'true';
+    trigger.setAttribute('aria-expanded', String(!expanded));
+    details.hidden = expanded;
+  }
+
+  /**
+   * 简历页面内容，数据为 JSON Resume 格式（https://jsonresume.org/schema）
+   * 打印样式见 print.css
+   */
+  getResumeContent(resume) {
+    const { basics, work = [], education = [], skills = [], certificates = [], languages = [] } = resume;
+    const location = basics.location ? [basics.location.city, basics.location.countryCode].filter(Boolean).join(', ') : '';
+
+    return html`
+      <section class="section resume">
+        <div class="container">
+          <header class="resume-header animate-fade-in-up">
+            <div>
+              <h1 class="resume-name">${basics.name}</h1>
+              <p class="resume-label">${basics.label}</p>
+              <ul class="resume-contact">
+                ${basics.email ? html`<li><i class="fas fa-envelope" aria-hidden="true"></i><a href="mailto:${basics.email}">${basics.email}</a></li>` : ''}
+                ${basics.url ? html`<li><i class="fas fa-globe" aria-hidden="true"></i><a href="${safeURL(basics.url)}">${basics.url.replace(/^https?:\/\//, '')}</a></li>` : ''}
+                ${location ? html`<li><i class="fas fa-location-dot" aria-hidden="true"></i>${location}</li>` : ''}
+                ${(basics.profiles || []).map(profile => html`
+                  <li><i class="fab fa-${profile.network.toLowerCase()}" aria-hidden="true"></i><a href="${safeURL(profile.url)}" target="_blank" rel="noopener noreferrer">${profile.network}: ${profile.username}</a></li>
+                `)}
+              </ul>
+            </div>
+            <div class="resume-actions" role="group" aria-label="${this.t('resume.actionsLabel')}">
+              <button type="button" class="btn btn-primary btn-sm" data-action="print-resume">
+                <i class="fas fa-print" aria-hidden="true"></i>
+                ${this.t('resume.print')}
+              </button>
+              <a href="${this.content.url('resume.json')}" class="btn btn-secondary btn-sm" download="${this.getResumeFileName(basics, 'json')}">
+                <i class="fas fa-file-code" aria-hidden="true"></i>
+                ${this.t('resume.downloadJson')}
+              </a>
+              <button type="button" class="btn btn-secondary btn-sm" data-action="download-resume-text">
+                <i class="fas fa-file-lines" aria-hidden="true"></i>
+                ${this.t('resume.downloadText')}
+              </button>
+            </div>
+          </header>
+
+          ${basics.summary ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.summary')}</h2>
+              <p>${basics.summary}</p>
+            </section>
+          ` : ''}
+
+          ${work.length ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.work')}</h2>
+              ${work.map(job => html`
+                <article class="resume-entry">
+                  <div class="resume-entry-header">
+                    <h3>${job.position} · ${job.url ? html`<a href="${safeURL(job.url)}" target="_blank" rel="noopener noreferrer">${job.name}</a>` : job.name}</h3>
+                    ${this.getResumePeriod(job)}
+                  </div>
+                  ${job.summary ? html`<p>${job.summary}</p>` : ''}
+                  ${job.highlights && job.highlights.length ? html`
+                    <ul>${job.highlights.map(highlight => html`<li>${highlight}</li>`)}</ul>
+                  ` : ''}
+                </article>
+              `)}
+            </section>
+          ` : ''}
+
+          ${education.length ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.education')}</h2>
+              ${education.map(school => html`
+                <article class="resume-entry">
+                  <div class="resume-entry-header">
+                    <h3>${school.institution}</h3>
+                    ${this.getResumePeriod(school)}
+                  </div>
+                  <p>${[school.studyType, school.area, school.score].filter(Boolean).join(' · ')}</p>
+                  ${school.courses && school.courses.length ? html`
+                    <p class="resume-muted">${this.t('resume.courses', { courses: school.courses.join(', ') })}</p>
+                  ` : ''}
+                </article>
+              `)}
+            </section>
+          ` : ''}
+
+          ${skills.length ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.skills')}</h2>
+              <dl class="resume-skills">
+                ${skills.map(skill => html`
+                  <div class="resume-skill">
+                    <dt>${skill.name}${skill.level ? html` <span class="resume-level">${skill.level}</span>` : ''}</dt>
+                    <dd>${(skill.keywords || []).join(', ')}</dd>
+                  </div>
+                `)}
+              </dl>
+            </section>
+          ` : ''}
+
+          ${certificates.length ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.certificates')}</h2>
+              <ul class="resume-list">
+                ${certificates.map(certificate => html`
+                  <li>
+                    ${certificate.url ? html`<a href="${safeURL(certificate.url)}" target="_blank" rel="noopener noreferrer">${certificate.name}</a>` : certificate.name}
+                    <span class="resume-muted">· ${[certificate.issuer, certificate.date && this.formatMonth(certificate.date)].filter(Boolean).join(' · ')}</span>
+                  </li>
+                `)}
+              </ul>
+            </section>
+          ` : ''}
+
+          ${languages.length ? html`
+            <section class="resume-section">
+              <h2>${this.t('resume.languages')}</h2>
+              <ul class="resume-list">
+                ${languages.map(item => html`<li>${item.language} <span class="resume-muted">· ${item.fluency}</span></li>`)}
+              </ul>
+            </section>
+          ` : ''}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * 简历条目的起止时间，没有结束时间时显示“至今”
+   */
+  getResumePeriod({ startDate, endDate }) {
+    if (!startDate) return '';
+    return html`
+      <p class="resume-period">
+        <time datetime="${startDate}">${this.formatMonth(startDate)}</time> –
+        ${endDate ? html`<time datetime="${endDate}">${this.formatMonth(endDate)}</time>` : this.t('resume.present')}
+      </p>
+    `;
+  }
+
+  /**
+   * 简历与经历时间线中的日期（YYYY、YYYY-MM 或 YYYY-MM-DD），只显示到月份
+   */
+  formatMonth(date) {
+    const [year, month] = date.split('-').map(Number);
+    if (!month) return String(year);
+
+    // 按 UTC 解析与格式化，避免时区把月初换算到上个月
+    return new Intl.DateTimeFormat(this.i18n.locale, { year: 'numeric', month: 'short', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(year, month - 1)));
+  }
+
+  /**
+   * 下载文件名，如 birtney666-resume.txt
+   */
+  getResumeFileName(basics, extension) {
+    return `${slugify(basics.name) || 'resume'}-resume.${extension}`;
+  }
+
+  /**
+   * 简历的纯文本版本
+   */
+  getResumeText(resume) {
+    const { basics, work = [], education = [], skills = [], certificates = [], languages = [] } = resume;
+    const period = ({ startDate, endDate }) => {
+      if (!startDate) return '';
+      const end = endDate ? this.formatMonth(endDate) : this.t('resume.present');
+      return ` (${this.formatMonth(startDate)} – ${end})`;
+    };
+    const location = basics.location ? [basics.location.city, basics.location.countryCode].filter(Boolean).join(', ') : '';
+    const lines = [
+      basics.name,
+      basics.label,
+      [basics.email, basics.url, location].filter(Boolean).join(' · '),
+      ...(basics.profiles || []).map(profile => `${profile.network}: ${profile.url}`)
+    ];
+    const section = (title, body) => {
+      if (body.length) lines.push('', title, '='.repeat(40), ...body);
+    };
+
+    section(this.t('resume.summary'), basics.summary ? [basics.summary] : []);
+    section(this.t('resume.work'), work.flatMap((job, index) => [
+      ...(index ? [''] : []),
+      `${job.position} · ${job.name}${period(job)}`,
+      ...(job.summary ? [job.summary] : []),
+      ...(job.highlights || []).map(highlight => `- ${highlight}`)
+    ]));
+    section(this.t('resume.education'), education.flatMap((school, index) => [
+      ...(index ? [''] : []),
+      `${school.institution}${period(school)}`,
+      [school.studyType, school.area, school.score].filter(Boolean).join(' · '),
+      ...(school.courses && school.courses.length ? [this.t('resume.courses', { courses: school.courses.join(', ') })] : [])
+    ]));
+    section(this.t('resume.skills'), skills.map(skill => {
+      const level = skill.level ? ` (${skill.level})` : '';
+      return `- ${skill.name}${level}: ${(skill.keywords || []).join(', ')}`;
+    }));
+    section(this.t('resume.certificates'), certificates.map(certificate => {
+      const details = [certificate.issuer, certificate.date && this.formatMonth(certificate.date)].filter(Boolean);
+      return `- ${certificate.name}${details.length ? ` · ${details.join(' · ')}` : ''}`;
+    }));
+    section(this.t('resume.languages'), languages.map(item => `- ${item.language} · ${item.fluency}`));
+
+    return `${lines.filter(line => line !== undefined).join('\n')}\n`;
   }
 
-  /**
-   * 从URL获取当前页面
-   */
-  getPageFromURL() {
-    const path = window.location.pathname;
-    const page = path.split('/').pop().replace('.html', '') || 'home';
-    return page === 'index' ? 'home' : page;
+  /**
+   * 下载简历的纯文本版本
+   */
+  downloadResumeText() {
+    if (!this.resume) return;
+
+    const blob = new this.window.Blob([this.getResumeText(this.resume)], { type: 'text/plain;charset=utf-8' });
+    const url = this.window.URL.createObjectURL(blob);
+    const link = this.document.createElement('a');
+    link.href = url;
+    link.download = this.getResumeFileName(this.resume.basics, 'txt');
+    this.host.appendChild(link);
+    link.click();
+    link.remove();
+    // 下载开始后再释放地址
+    setTimeout(() => this.window.URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 项目页面内容
+   */
+  getProjectsContent(data, query = new URLSearchParams()) {
+    const filter = ProjectFilter.parse(query);
+    const visible = ProjectFilter.select(data.projects, filter, this.i18n.locale);
+    const hidden = data.projects.filter(project => !visible.includes(project));
+    const tags = [...new Set(data.projects.flatMap(project => project.tags))];
+
+    return html`
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title animate-fade-in-up">${data.title}</h1>
+          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
+            ${data.subtitle}
+          </p>
+        </div>
+      </section>
+
+      <section class="section" data-project-filter data-replace>
+        <div class="container">
+          <div class="project-toolbar">
+            <div class="project-toolbar-row">
+              <div class="project-search">
+                <i class="fas fa-search" aria-hidden="true"></i>
+                <input
+                  type="search"
+                  class="form-control"
+                  value="${filter.q}"
+                  placeholder="${this.t('projectFilter.searchPlaceholder')}"
+                  aria-label="${this.t('projectFilter.searchLabel')}"
+                  data-filter-search
+                >
+              </div>
+              <label class="project-sort">
+                <span>${this.t('projectFilter.sortLabel')}</span>
+                <select class="form-control" data-filter-sort>
+                  ${ProjectFilter.sorts.map(sort => html`
+                    <option ${attrs({ value: sort, selected: sort === filter.sort })}>${this.t(`projectFilter.sorts.${sort}`)}</option>
+                  `)}
+                </select>
+              </label>
+            </div>
+            <div class="project-toolbar-row">
+              <div class="tag-list" role="group" aria-label="${this.t('projectFilter.tagsLabel')}">
+                ${tags.map(tag => this.getTagChip(tag, filter))}
+              </div>
+              <div class="segmented" role="group" aria-label="${this.t('projectFilter.matchLabel')}">
+                ${['any', 'all'].map(match => html`
+                  <button type="button" data-filter-match="${match}" aria-pressed="${match === filter.match}">
+                    ${this.t(`projectFilter.match.${match}`)}
+                  </button>
+                `)}
+              </div>
+            </div>
+            <p class="project-count" aria-live="polite" data-filter-count>
+              ${this.t('projectFilter.count', { count: visible.length, total: data.projects.length })}
+            </p>
+          </div>
+
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3" data-project-grid>
+            ${this.getProjectCards(visible, filter)}
+            ${this.getProjectCards(hidden, filter, { hidden: true })}
+          </div>
+
+          <div class="empty-state" data-filter-empty ${attrs({ hidden: !visible.length })}>
+            <i class="fas fa-folder-open" aria-hidden="true"></i>
+            <h2>${this.t('projectFilter.emptyTitle')}</h2>
+            <p>${this.t('projectFilter.emptyText')}</p>
+            <button type="button" class="btn btn-secondary" data-filter-clear>
+              ${this.t('projectFilter.clear')}
+            </button>
+          </div>
+        </div>
+      </section>
+
+      ${this.githubFeed ? html`
+        <section class="section" style="padding-top: 0;">
+          <div class="container">
+            <div class="section-header">
+              <h2 class="section-title animate-on-scroll">${this.t('github.title')}</h2>
+              <p class="section-subtitle animate-on-scroll">
+                ${this.t('github.subtitle')}
+              </p>
+            </div>
+            <div data-github-repos aria-live="polite" aria-busy="true">
+              <p class="repo-feed-status">${this.t('github.loading')}</p>
+            </div>
+          </div>
+        </section>
+      ` : ''}
+    `;
   }
 
   /**
-   * 设置导航系统
+   * 挂载项目筛选，筛选变化同步到查询字符串
    */
-  setupNavigation() {
-    // 导航链接点击处理
-    document.addEventListener('click', this.handleNavigation);
-    
-    // 浏览器前进/后退处理
-    window.addEventListener('popstate', this.handlePopState);
-    
-    // 键盘导航支持
-    document.addEventListener('keydown', this.handleKeyboardNavigation.bind(this));
-  }
+  mountProjectFilter(data) {
+    const root = this.root.querySelector('[data-project-filter]');
+    if (!root) return;
 
-  /**
-   * 处理导航点击
-   */
-  handleNavigation(event) {
-    const link = event.target.closest('[data-page]');
-    if (!link) return;
-    
-    event.preventDefault();
-    
-    const page = link.dataset.page;
-    if (page === this.currentPage || this.isLoading) return;
-    
-    this.navigateTo(page);
+    this.projectFilter = new ProjectFilter(root, data.projects, {
+      locale: this.i18n.locale,
+      t: (key, vars) => this.t(key, vars),
+      onChange: (query, options) => this.updateQuery(query, options)
+    });
+    this.projectFilter.attach(ProjectFilter.parse(this.getCurrentQuery()));
   }
 
   /**
-   * 处理浏览器前进/后退
+   * 挂载 GitHub 仓库动态，异步填充项目页中的占位区域
    */
-  handlePopState(event) {
-    const page = event.state ? event.state.page : 'home';
-    this.loadPage(page, false);
+  async mountGitHubRepos() {
+    const container = this.root.querySelector('[data-github-repos]');
+    if (!container) return;
+
+    let markup;
+    try {
+      const { repos, stale } = await this.githubFeed.getRepos();
+      markup = this.getRepoCards(repos, stale);
+    } catch (error) {
+      console.warn('GitHub repositories unavailable:', error.message);
+      markup = this.getRepoFeedError(error);
+    }
+
+    // 请求期间用户可能已离开项目页
+    if (!container.isConnected) return;
+    container.innerHTML = markup;
+    container.setAttribute('aria-busy', 'false');
   }
 
   /**
-   * 键盘导航支持
+   * 生成仓库卡片
    */
-  handleKeyboardNavigation(event) {
-    // Alt + 数字键快速导航
-    if (event.altKey && event.key >= '1' && event.key <= '4') {
-      event.preventDefault();
-      const pages = ['home', 'about', 'projects', 'contact'];
-      const pageIndex = parseInt(event.key) - 1;
-      if (pages[pageIndex]) {
-        this.navigateTo(pages[pageIndex]);
-      }
+  getRepoCards(repos, stale) {
+    const profileUrl = `https://github.com/${this.config.github.username}`;
+    if (!repos.length) {
+      return html`<p class="repo-feed-status">${this.t('github.empty')}<a href="${profileUrl}" target="_blank" rel="noopener noreferrer">${this.t('github.visitProfile')}</a></p>`;
     }
+
+    return html`
+      ${stale ? html`<p class="repo-feed-status">${this.t('github.stale')}</p>` : ''}
+      <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
+        ${repos.map(repo => html`
+          <a href="${safeURL(repo.url)}" class="card repo-card animate-fade-in" target="_blank" rel="noopener noreferrer">
+            <h3 class="card-title">
+              <i class="fas fa-book" aria-hidden="true"></i>
+              ${repo.name}
+            </h3>
+            <p class="card-description">${repo.description || this.t('github.noDescription')}</p>
+            <div class="repo-card-meta">
+              ${repo.language ? html`<span><i class="fas fa-code" aria-hidden="true"></i> ${repo.language}</span>` : ''}
+              <span aria-label="${this.t('github.stars', { count: repo.stars })}"><i class="fas fa-star" aria-hidden="true"></i> ${repo.stars}</span>
+              <span>
+                ${this.tHTML('github.updated', { time: html`<time datetime="${repo.pushedAt}">${this.formatRelativeTime(repo.pushedAt)}</time>` })}
+              </span>
+            </div>
+          </a>
+        `)}
+      </div>
+    `;
   }
 
   /**
-   * 导航到指定页面
+   * 仓库动态不可用时的提示
    */
-  navigateTo(page) {
-    if (this.isLoading) return;
-    
-    this.loadPage(page, true);
-    
-    // 更新URL
-    const url = page === 'home' ? '/' : `/${page}`;
-    history.pushState({ page }, '', url);
-    
-    // Google Analytics 页面跟踪 (如果需要)
-    if (typeof gtag !== 'undefined') {
-      gtag('config', 'GA_MEASUREMENT_ID', {
-        page_path: url
-      });
-    }
+  getRepoFeedError(error) {
+    const messages = {
+      offline: 'github.offline',
+      'rate-limited': 'github.rateLimited'
+    };
+    const profileUrl = `https://github.com/${this.config.github.username}`;
+
+    return html`
+      <p class="repo-feed-status">
+        ${this.t(messages[error.reason] || 'github.unavailable')}
+        <a href="${profileUrl}" target="_blank" rel="noopener noreferrer">${this.t('github.visitProfileDirect')}</a>
+      </p>
+    `;
   }
 
   /**
-   * 加载页面内容
+   * 按当前语言将时间格式化为相对时间（如“3天前”）
    */
-  async loadPage(page, pushState = false) {
-    if (this.isLoading) return;
-    
-    this.isLoading = true;
-    this.currentPage = page;
-    
-    // 更新导航状态
-    this.updateNavigation(page);
-    
-    // 获取主内容容器
-    const mainContent = document.getElementById('main-content');
-    if (!mainContent) {
-      console.error('Main content container not found');
-      this.isLoading = false;
-      return;
-    }
-    
-    try {
-      // 淡出当前内容
-      await this.fadeOut(mainContent);
-      
-      // 渲染新页面内容
-      const content = this.getPageContent(page);
-      mainContent.innerHTML = content;
-      
-      // 淡入新内容
-      await this.fadeIn(mainContent);
-      
-      // 重新设置动画
-      this.setupScrollAnimations();
-      
-      // 滚动到顶部
-      this.smoothScrollTo(0);
-      
-      // 更新页面标题
-      this.updatePageTitle(page);
-      
-      // 触发页面加载完成事件
-      this.dispatchPageLoadEvent(page);
-      
-    } catch (error) {
-      console.error('Error loading page:', error);
-      mainContent.innerHTML = this.getErrorContent();
-    } finally {
-      this.isLoading = false;
+  formatRelativeTime(date) {
+    const seconds = (new Date(date).getTime() - Date.now()) / 1000;
+    const units = [
+      ['year', 60 * 60 * 24 * 365],
+      ['month', 60 * 60 * 24 * 30],
+      ['day', 60 * 60 * 24],
+      ['hour', 60 * 60],
+      ['minute', 60]
+    ];
+    const formatter = new Intl.RelativeTimeFormat(this.i18n.locale, { numeric: 'auto' });
+
+    for (const [unit, size] of units) {
+      if (Math.abs(seconds) >= size) {
+        return formatter.format(Math.round(seconds / size), unit);
+      }
     }
+    return formatter.format(0, 'minute');
   }
 
   /**
-   * 更新导航状态
+   * 按 slug 查找项目
    */
-  updateNavigation(page) {
-    const navLinks = document.querySelectorAll('.navbar-link');
-    const footerLinks = document.querySelectorAll('.footer-link[data-page]');
-    
-    [...navLinks, ...footerLinks].forEach(link => {
-      if (link.dataset.page === page) {
-        link.classList.add('active');
-        link.setAttribute('aria-current', 'page');
-      } else {
-        link.classList.remove('active');
-        link.removeAttribute('aria-current');
-      }
-    });
+  findProject(projects, slug) {
+    return projects.find(project => project.slug === slug) || null;
   }
 
   /**
-   * 淡出动画
+   * 技术标签
    */
-  fadeOut(element) {
-    return new Promise(resolve => {
-      element.style.opacity = '0';
-      element.style.transform = 'translateY(20px)';
-      element.style.transition = 'all 250ms cubic-bezier(0.4, 0.0, 0.2, 1.0)';
-      
-      setTimeout(resolve, 150);
-    });
+  getTagBadge(tag) {
+    return html`
+      <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">
+        ${tag}
+      </span>
+    `;
   }
 
   /**
-   * 淡入动画
+   * 可点击筛选的技术标签
    */
-  fadeIn(element) {
-    return new Promise(resolve => {
-      // 强制重绘
-      element.offsetHeight;
-      
-      element.style.opacity = '1';
-      element.style.transform = 'translateY(0)';
-      
-      setTimeout(() => {
-        element.style.transition = '';
-        resolve();
-      }, 250);
-    });
+  getTagChip(tag, filter) {
+    return html`
+      <button type="button" class="tag-chip" data-filter-tag="${tag}" aria-pressed="${filter.tags.includes(tag)}">
+        ${tag}
+      </button>
+    `;
   }
 
   /**
-   * 获取页面内容
+   * 生成项目卡片
    */
-  getPageContent(page) {
-    switch (page) {
-      case 'home':
-        return this.getHomeContent();
-      case 'about':
-        return this.getAboutContent();
-      case 'projects':
-        return this.getProjectsContent();
-      case 'contact':
-        return this.getContactContent();
-      default:
-        return this.get404Content();
-    }
+  getProjectCards(projects, filter, { hidden = false } = {}) {
+    return projects.map((project, index) => html`
+      <div class="card card-linked animate-on-scroll hover-lift" data-slug="${project.slug}" style="animation-delay: ${index * 0.1}s;" ${attrs({ hidden })}>
+        <div class="card-header">
+          <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
+            <i class="${project.icon}" style="font-size: 1.25rem;"></i>
+          </div>
+          <h3 class="card-title">
+            <a href="/projects/${encodeURIComponent(project.slug)}" class="card-link" data-page="project" data-params="${new URLSearchParams({ slug: project.slug })}">
+              ${project.title}
+            </a>
+          </h3>
+          <p class="card-description">${project.description}</p>
+        </div>
+        <div class="card-footer">
+          <div class="tag-list" aria-label="${this.t('projectFilter.tagsLabel')}" role="group">
+            ${project.tags.map(tag => this.getTagChip(tag, filter))}
+          </div>
+        </div>
+      </div>
+    `);
   }
 
   /**
-   * 首页内容
+   * 项目详情页面内容
+   * 项目不存在时返回 null，由 loadPage 回退到404页面
    */
-  getHomeContent() {
-    return `
-      <!-- 英雄区域 -->
+  getProjectDetailContent(project) {
+    if (!project) return null;
+
+    return html`
       <section class="hero">
         <div class="hero-container">
-          <h1 class="hero-title animate-fade-in-up">
-            Birtney666
-          </h1>
+          <div class="animate-fade-in-up" style="width: 4rem; height: 4rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-2xl); display: flex; align-items: center; justify-content: center; color: white; margin: 0 auto var(--space-8);">
+            <i class="${project.icon}" style="font-size: 1.5rem;"></i>
+          </div>
+          <h1 class="hero-title animate-fade-in-up">${project.title}</h1>
           <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
-            开发者 & 创造者
-          </p>
-          <p class="animate-fade-in-up" style="animation-delay: 0.2s; max-width: 600px; margin: 0 auto var(--space-12); color: var(--text-secondary); font-size: var(--text-lg); line-height: var(--leading-relaxed);">
-            专注于创造优雅的数字解决方案和令人惊叹的用户体验，用技术连接想象与现实。
+            ${project.description}
           </p>
-          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.3s;">
-            <a href="#" class="btn btn-primary" data-page="projects">
-              <i class="fas fa-code" aria-hidden="true"></i>
-              查看项目
-            </a>
-            <a href="#" class="btn btn-secondary" data-page="contact">
-              <i class="fas fa-envelope" aria-hidden="true"></i>
-              联系我
+          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.2s;">
+            <a href="/projects" class="btn btn-secondary" data-page="projects">
+              <i class="fas fa-arrow-left" aria-hidden="true"></i>
+              ${this.t('project.back')}
             </a>
           </div>
         </div>
       </section>
 
-      <!-- 核心能力 -->
       <section class="section">
         <div class="container">
-          <div class="section-header">
-            <h2 class="section-title animate-on-scroll">核心能力</h2>
-            <p class="section-subtitle animate-on-scroll">
-              专业技能与创新思维的完美结合
-            </p>
-          </div>
-
-          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
-            <div class="card animate-on-scroll hover-lift">
-              <div class="card-header">
-                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
-                  <i class="fas fa-code" style="font-size: 1.25rem;"></i>
-                </div>
-                <h3 class="card-title">前端开发</h3>
-                <p class="card-description">
-                  精通现代前端技术栈，创造优秀的用户界面和交互体验。
-                </p>
-              </div>
-              <div class="card-content">
-                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">React</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Vue.js</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">TypeScript</span>
-                </div>
+          <div class="project-detail">
+            <div class="animate-on-scroll">
+              <h2 style="font-size: var(--text-2xl); font-weight: var(--font-weight-bold); margin-bottom: var(--space-6); color: var(--text-primary);">
+                ${this.t('project.overview')}
+              </h2>
+              <div style="color: var(--text-secondary); line-height: var(--leading-relaxed);">
+                ${project.longDescription.map(paragraph => html`
+                  <p style="margin-bottom: var(--space-6);">${paragraph}</p>
+                `)}
               </div>
-            </div>
 
-            <div class="card animate-on-scroll hover-lift" style="animation-delay: 0.1s;">
-              <div class="card-header">
-                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
-                  <i class="fas fa-server" style="font-size: 1.25rem;"></i>
-                </div>
-                <h3 class="card-title">后端架构</h3>
-                <p class="card-description">
-                  构建高性能、可扩展的服务器端应用和微服务架构。
-                </p>
-              </div>
-              <div class="card-content">
-                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Node.js</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Python</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Docker</span>
-                </div>
-              </div>
+              ${project.screenshots.map(shot => html`
+                <figure class="project-screenshot">
+                  <img src="${safeURL(shot.src)}" alt="${shot.alt}" loading="lazy" width="1200" height="750">
+                  <figcaption>${shot.alt}</figcaption>
+                </figure>
+              `)}
             </div>
 
-            <div class="card animate-on-scroll hover-lift" style="animation-delay: 0.2s;">
+            <aside class="card animate-on-scroll" style="animation-delay: 0.1s;">
               <div class="card-header">
-                <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
-                  <i class="fas fa-palette" style="font-size: 1.25rem;"></i>
-                </div>
-                <h3 class="card-title">用户体验</h3>
-                <p class="card-description">
-                  以用户为中心的设计思维，创造直观且令人愉悦的产品体验。
-                </p>
+                <h3 class="card-title">${this.t('project.info')}</h3>
               </div>
               <div class="card-content">
-                <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">UI/UX</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">Figma</span>
-                  <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">原型设计</span>
-                </div>
+                <dl class="project-meta">
+                  <dt>${this.t('project.role')}</dt>
+                  <dd>${project.role}</dd>
+                  <dt>${this.t('project.timeline')}</dt>
+                  <dd>${project.timeline}</dd>
+                  <dt>${this.t('project.stack')}</dt>
+                  <dd>
+                    <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
+                      ${project.tags.map(tag => this.getTagBadge(tag))}
+                    </div>
+                  </dd>
+                </dl>
               </div>
-            </div>
+              <div class="card-footer" style="display: flex; flex-wrap: wrap; gap: var(--space-4);">
+                ${project.links.map(link => html`
+                  <a href="${safeURL(link.url)}" class="btn btn-primary btn-sm" target="_blank" rel="noopener noreferrer">
+                    <i class="${link.icon}" aria-hidden="true"></i>
+                    ${link.label}
+                  </a>
+                `)}
+              </div>
+            </aside>
           </div>
         </div>
       </section>
@@ -350,185 +4896,236 @@ class ModernWebApp {
   }
 
   /**
-   * 关于页面内容
+   * 加载全部博客文章，按发布日期倒序排列
+   * content/blog/index.json 列出文章 slug，正文与 front matter 来自同名 Markdown 文件
    */
-  getAboutContent() {
-    return `
-      <section class="hero">
-        <div class="hero-container">
-          <h1 class="hero-title animate-fade-in-up">关于我</h1>
-          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
-            了解我的技术之旅与创造理念
-          </p>
-        </div>
-      </section>
+  async loadBlogPosts({ signal } = {}) {
+    const index = await this.content.get('blog/index.json', { signal });
+    const posts = await Promise.all(index.posts.map(async slug => {
+      const { attributes, body, html } = await this.content.get(`blog/${slug}.md`, { signal });
+      return {
+        slug,
+        title: attributes.title || slug,
+        date: this.parsePostDate(attributes.date, slug),
+        tags: attributes.tags || [],
+        summary: attributes.summary || '',
+        html,
+        readingTime: this.estimateReadingTime(body)
+      };
+    }));
 
-      <section class="section">
-        <div class="container">
-          <div class="grid grid-cols-1 lg:grid-cols-2" style="gap: var(--space-16);">
-            <div class="animate-on-scroll">
-              <h2 style="font-size: var(--text-2xl); font-weight: var(--font-weight-bold); margin-bottom: var(--space-6); color: var(--text-primary);">
-                我的故事
-              </h2>
-              <div style="space-y: var(--space-6); color: var(--text-secondary); line-height: var(--leading-relaxed);">
-                <p style="margin-bottom: var(--space-6);">
-                  我是一名充满激情的全栈开发者，拥有多年的软件开发经验。我热爱创造能够解决实际问题的技术解决方案，并且始终追求代码的优雅与效率。
-                </p>
-                <p style="margin-bottom: var(--space-6);">
-                  在我的职业生涯中，我参与过各种规模的项目，从小型创业产品到大型企业级系统。我相信技术应该服务于人，让生活变得更美好。
-                </p>
-                <p>
-                  除了编程，我还热衷于学习新技术、分享知识，并且积极参与开源社区。我认为持续学习是成为优秀开发者的关键。
-                </p>
-              </div>
-            </div>
+    // 没有日期的文章排在最后，彼此之间保持 index.json 中的顺序
+    return posts.sort((a, b) => {
+      if (!a.date || !b.date) return Number(!a.date) - Number(!b.date);
+      return new Date(b.date) - new Date(a.date);
+    });
+  }
 
-            <div class="animate-on-scroll" style="animation-delay: 0.1s;">
-              <div class="card">
-                <div class="card-header">
-                  <h3 class="card-title">技术栈</h3>
-                </div>
-                <div class="card-content">
-                  <div style="space-y: var(--space-4);">
-                    <div>
-                      <h4 style="font-weight: var(--font-weight-semibold); margin-bottom: var(--space-2); color: var(--text-primary);">
-                        前端技术
-                      </h4>
-                      <p style="color: var(--text-secondary); font-size: var(--text-sm);">
-                        React, Vue.js, TypeScript, Next.js, Tailwind CSS, Webpack
-                      </p>
-                    </div>
-                    <div>
-                      <h4 style="font-weight: var(--font-weight-semibold); margin-bottom: var(--space-2); color: var(--text-primary);">
-                        后端技术
-                      </h4>
-                      <p style="color: var(--text-secondary); font-size: var(--text-sm);">
-                        Node.js, Python, Java, Express, Django, GraphQL
-                      </p>
-                    </div>
-                    <div>
-                      <h4 style="font-weight: var(--font-weight-semibold); margin-bottom: var(--space-2); color: var(--text-primary);">
-                        数据库 & 工具
-                      </h4>
-                      <p style="color: var(--text-secondary); font-size: var(--text-sm);">
-                        MySQL, PostgreSQL, MongoDB, Redis, Docker, AWS, Git
-                      </p>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
+  /**
+   * 校验 front matter 中的发布日期（YYYY-MM-DD），缺失或不合法时返回 null
+   */
+  parsePostDate(value, slug) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) {
+      return value;
+    }
+    console.warn(`Blog post "${slug}" has no valid date:`, value);
+    return null;
+  }
+
+  /**
+   * 估算阅读时间（分钟）：中文按每分钟 300 字、英文按每分钟 200 词计算
+   */
+  estimateReadingTime(markdown) {
+    const text = markdown.replace(/```[\s\S]*?```/g, ' ');
+    const cjk = (text.match(/[\u3400-\u9fff\uf900-\ufaff]/g) || []).length;
+    const words = (text.replace(/[\u3400-\u9fff\uf900-\ufaff]/g, ' ').match(/[A-Za-z0-9]+/g) || []).length;
+    return Math.max(1, Math.round(cjk / 300 + words / 200));
+  }
+
+  /**
+   * 按当前语言格式化日期（如“2024年6月18日”）
+   */
+  formatDate(date) {
+    // YYYY-MM-DD 按 UTC 零点解析，同样按 UTC 格式化，避免西半球时区显示为前一天
+    return new Intl.DateTimeFormat(this.i18n.locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+      .format(new Date(date));
+  }
+
+  /**
+   * 博客标签链接
+   */
+  getBlogTagLink(tag) {
+    return html`
+      <a href="#" class="tag-link" data-page="blog-tag" data-params="${new URLSearchParams({ tag })}">
+        ${tag}
+      </a>
+    `;
+  }
+
+  /**
+   * 文章日期与阅读时间
+   */
+  getBlogPostMeta(post) {
+    return html`
+      <div class="post-meta">
+        ${post.date ? html`
+          <time datetime="${post.date}">${this.formatDate(post.date)}</time>
+          <span aria-hidden="true">·</span>
+        ` : ''}
+        <span>${this.t('blog.readingTime', { minutes: post.readingTime })}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成文章列表
+   */
+  getBlogPostList(posts) {
+    return posts.map((post, index) => html`
+      <article class="card card-linked animate-on-scroll hover-lift" style="animation-delay: ${index * 0.1}s;">
+        <div class="card-header">
+          ${this.getBlogPostMeta(post)}
+          <h2 class="card-title">
+            <a href="#" class="card-link" data-page="blog-post" data-params="${new URLSearchParams({ slug: post.slug })}">
+              ${post.title}
+            </a>
+          </h2>
+          <p class="card-description">${post.summary}</p>
+        </div>
+        <div class="card-footer">
+          <div class="tag-list">
+            ${post.tags.map(tag => this.getBlogTagLink(tag))}
+          </div>
+        </div>
+      </article>
+    `);
+  }
+
+  /**
+   * 博客首页内容
+   */
+  getBlogIndexContent(posts) {
+    const tags = [...new Set(posts.flatMap(post => post.tags))];
+
+    return html`
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title animate-fade-in-up">${this.t('blog.title')}</h1>
+          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
+            ${this.t('blog.subtitle')}
+          </p>
+          <div class="tag-list animate-fade-in-up" style="justify-content: center; animation-delay: 0.2s;">
+            ${tags.map(tag => this.getBlogTagLink(tag))}
           </div>
         </div>
       </section>
+
+      <section class="section">
+        <div class="container post-list">
+          ${this.getBlogPostList(posts)}
+        </div>
+      </section>
     `;
   }
 
   /**
-   * 项目页面内容
+   * 标签筛选页面内容，标签下没有文章时返回 null
    */
-  getProjectsContent() {
-    return `
+  getBlogTagContent(posts, tag) {
+    const tagged = posts.filter(post => post.tags.includes(tag));
+    if (!tagged.length) return null;
+
+    return html`
       <section class="hero">
         <div class="hero-container">
-          <h1 class="hero-title animate-fade-in-up">我的项目</h1>
+          <h1 class="hero-title animate-fade-in-up">#${tag}</h1>
           <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
-            展示技术实力与创新思维的作品集
+            ${this.t('blog.postCount', { count: tagged.length })}
           </p>
+          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.2s;">
+            <a href="#" class="btn btn-secondary" data-page="blog">
+              <i class="fas fa-arrow-left" aria-hidden="true"></i>
+              ${this.t('blog.allPosts')}
+            </a>
+          </div>
         </div>
       </section>
 
       <section class="section">
-        <div class="container">
-          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
-            ${this.getProjectCards()}
-          </div>
+        <div class="container post-list">
+          ${this.getBlogPostList(tagged)}
         </div>
       </section>
     `;
   }
 
   /**
-   * 生成项目卡片
+   * 博客文章页面内容，文章不存在时返回 null
    */
-  getProjectCards() {
-    const projects = [
-      {
-        title: '企业级管理系统',
-        description: '基于微服务架构的现代化企业管理平台，支持多租户、权限管理和实时数据分析。',
-        tags: ['React', 'Node.js', 'PostgreSQL', 'Docker'],
-        icon: 'fas fa-building',
-        delay: 0
-      },
-      {
-        title: '电商解决方案',
-        description: '全栈电商平台，包含用户管理、商品展示、购物车、支付系统等完整功能模块。',
-        tags: ['Vue.js', 'Express', 'MongoDB', 'Redis'],
-        icon: 'fas fa-shopping-cart',
-        delay: 0.1
-      },
-      {
-        title: '数据可视化平台',
-        description: '企业级数据分析和可视化平台，支持多种图表类型、实时数据展示和自定义仪表板。',
-        tags: ['React', 'D3.js', 'Python', 'FastAPI'],
-        icon: 'fas fa-chart-line',
-        delay: 0.2
-      },
-      {
-        title: '移动端应用',
-        description: '跨平台移动应用，提供原生应用的体验，支持离线使用、推送通知等功能。',
-        tags: ['React Native', 'TypeScript', 'Firebase'],
-        icon: 'fas fa-mobile-alt',
-        delay: 0.3
-      },
-      {
-        title: '开发者工具',
-        description: '提升开发效率的工具集，包含代码生成、自动化部署、性能监控等功能。',
-        tags: ['Node.js', 'CLI', 'GitHub Actions'],
-        icon: 'fas fa-tools',
-        delay: 0.4
-      },
-      {
-        title: '设计系统',
-        description: '企业级设计系统，包含完整的组件库、设计指南和开发工具链。',
-        tags: ['React', 'Storybook', 'Figma', 'CSS'],
-        icon: 'fas fa-palette',
-        delay: 0.5
-      }
-    ];
+  getBlogPostContent(posts, slug) {
+    const index = posts.findIndex(post => post.slug === slug);
+    if (index === -1) return null;
 
-    return projects.map(project => `
-      <div class="card animate-on-scroll hover-lift" style="animation-delay: ${project.delay}s;">
-        <div class="card-header">
-          <div style="width: 3rem; height: 3rem; background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); border-radius: var(--radius-xl); display: flex; align-items: center; justify-content: center; color: white; margin-bottom: var(--space-4);">
-            <i class="${project.icon}" style="font-size: 1.25rem;"></i>
+    const post = posts[index];
+    // 列表按日期倒序：后一项是更早的文章，前一项是更新的文章
+    const previous = posts[index + 1];
+    const next = posts[index - 1];
+
+    return html`
+      <article>
+        <header class="hero post-hero">
+          <div class="hero-container">
+            ${this.getBlogPostMeta(post)}
+            <h1 class="hero-title animate-fade-in-up">${post.title}</h1>
+            <div class="tag-list animate-fade-in-up" style="justify-content: center; animation-delay: 0.1s;">
+              ${post.tags.map(tag => this.getBlogTagLink(tag))}
+            </div>
           </div>
-          <h3 class="card-title">${project.title}</h3>
-          <p class="card-description">${project.description}</p>
-        </div>
-        <div class="card-footer">
-          <div style="display: flex; flex-wrap: wrap; gap: var(--space-2);">
-            ${project.tags.map(tag => `
-              <span style="background: var(--surface-accent); color: var(--text-accent); padding: var(--space-1) var(--space-3); border-radius: var(--radius-full); font-size: var(--text-xs); font-weight: var(--font-weight-medium);">
-                ${tag}
-              </span>
-            `).join('')}
+        </header>
+
+        <section class="section">
+          <div class="container post-body">
+            <div class="prose">
+              ${trusted(post.html)}
+            </div>
+
+            <nav class="post-nav" aria-label="${this.t('blog.navLabel')}">
+              ${previous ? html`
+                <a href="#" class="card post-nav-link" data-page="blog-post" data-params="${new URLSearchParams({ slug: previous.slug })}">
+                  <span class="post-nav-label"><i class="fas fa-arrow-left" aria-hidden="true"></i> ${this.t('blog.previous')}</span>
+                  <span class="post-nav-title">${previous.title}</span>
+                </a>
+              ` : html`<span></span>`}
+              ${next ? html`
+                <a href="#" class="card post-nav-link post-nav-next" data-page="blog-post" data-params="${new URLSearchParams({ slug: next.slug })}">
+                  <span class="post-nav-label">${this.t('blog.next')} <i class="fas fa-arrow-right" aria-hidden="true"></i></span>
+                  <span class="post-nav-title">${next.title}</span>
+                </a>
+              ` : ''}
+            </nav>
+
+            <div style="text-align: center; margin-top: var(--space-16);">
+              <a href="#" class="btn btn-ghost" data-page="blog">
+                <i class="fas fa-list" aria-hidden="true"></i>
+                ${this.t('blog.backToList')}
+              </a>
+            </div>
           </div>
-        </div>
-      </div>
-    `).join('');
+        </section>
+      </article>
+    `;
   }
 
   /**
    * 联系页面内容
    */
-  getContactContent() {
-    return `
+  getContactContent(contact) {
+    return html`
       <section class="hero">
         <div class="hero-container">
-          <h1 class="hero-title animate-fade-in-up">联系我</h1>
+          <h1 class="hero-title animate-fade-in-up">${contact.title}</h1>
           <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
-            让我们一起创造美好的项目
+            ${contact.subtitle}
           </p>
         </div>
       </section>
@@ -538,100 +5135,50 @@ class ModernWebApp {
           <div class="grid grid-cols-1 lg:grid-cols-2" style="gap: var(--space-16);">
             <div class="animate-on-scroll">
               <h2 style="font-size: var(--text-2xl); font-weight: var(--font-weight-bold); margin-bottom: var(--space-6); color: var(--text-primary);">
-                取得联系
+                ${contact.heading}
               </h2>
               <p style="margin-bottom: var(--space-8); color: var(--text-secondary); line-height: var(--leading-relaxed);">
-                如果您有项目合作、技术咨询或任何问题，欢迎随时与我联系。我很乐意与您讨论如何将您的想法变为现实。
+                ${contact.intro}
               </p>
               
-              <div style="space-y: var(--space-6);">
-                <div style="display: flex; align-items: center; gap: var(--space-4); margin-bottom: var(--space-6);">
-                  <div style="width: 3rem; height: 3rem; background: var(--blue-500); border-radius: var(--radius-lg); display: flex; align-items: center; justify-content: center; color: white;">
-                    <i class="fas fa-envelope"></i>
-                  </div>
-                  <div>
-                    <h4 style="font-weight: var(--font-weight-semibold); color: var(--text-primary);">邮箱</h4>
-                    <p style="color: var(--text-secondary); font-size: var(--text-sm);">contact@example.com</p>
-                  </div>
-                </div>
-                
-                <div style="display: flex; align-items: center; gap: var(--space-4); margin-bottom: var(--space-6);">
-                  <div style="width: 3rem; height: 3rem; background: var(--blue-500); border-radius: var(--radius-lg); display: flex; align-items: center; justify-content: center; color: white;">
-                    <i class="fab fa-github"></i>
-                  </div>
-                  <div>
-                    <h4 style="font-weight: var(--font-weight-semibold); color: var(--text-primary);">GitHub</h4>
-                    <p style="color: var(--text-secondary); font-size: var(--text-sm);">github.com/birtney666</p>
-                  </div>
-                </div>
-                
-                <div style="display: flex; align-items: center; gap: var(--space-4);">
-                  <div style="width: 3rem; height: 3rem; background: var(--blue-500); border-radius: var(--radius-lg); display: flex; align-items: center; justify-content: center; color: white;">
-                    <i class="fas fa-map-marker-alt"></i>
-                  </div>
-                  <div>
-                    <h4 style="font-weight: var(--font-weight-semibold); color: var(--text-primary);">位置</h4>
-                    <p style="color: var(--text-secondary); font-size: var(--text-sm);">中国</p>
+              <div style="display: flex; flex-direction: column; gap: var(--space-6);">
+                ${contact.channels.map(channel => html`
+                  <div style="display: flex; align-items: center; gap: var(--space-4);">
+                    <div style="width: 3rem; height: 3rem; background: var(--blue-500); border-radius: var(--radius-lg); display: flex; align-items: center; justify-content: center; color: white;">
+                      <i class="${channel.icon}"></i>
+                    </div>
+                    <div>
+                      <h4 style="font-weight: var(--font-weight-semibold); color: var(--text-primary);">${channel.label}</h4>
+                      <p style="color: var(--text-secondary); font-size: var(--text-sm);">${channel.value}</p>
+                    </div>
                   </div>
-                </div>
+                `)}
               </div>
             </div>
             
             <div class="card animate-on-scroll" style="animation-delay: 0.1s;">
               <div class="card-header">
-                <h3 class="card-title">发送消息</h3>
-                <p class="card-description">填写表单，我会尽快回复您</p>
+                <h3 class="card-title">${contact.form.title}</h3>
+                <p class="card-description">${contact.form.description}</p>
               </div>
               <div class="card-content">
-                <form style="space-y: var(--space-6);">
-                  <div style="margin-bottom: var(--space-6);">
-                    <label style="display: block; margin-bottom: var(--space-2); font-weight: var(--font-weight-medium); color: var(--text-primary);">
-                      姓名 *
-                    </label>
-                    <input 
-                      type="text" 
-                      required
-                      style="width: 100%; padding: var(--space-3); border: 1px solid var(--border-subtle); border-radius: var(--radius-lg); font-size: var(--text-base); transition: border-color var(--duration-fast) var(--ease-standard); background: var(--surface-primary);"
-                      placeholder="您的姓名"
-                    >
-                  </div>
-                  <div style="margin-bottom: var(--space-6);">
-                    <label style="display: block; margin-bottom: var(--space-2); font-weight: var(--font-weight-medium); color: var(--text-primary);">
-                      邮箱 *
-                    </label>
-                    <input 
-                      type="email" 
-                      required
-                      style="width: 100%; padding: var(--space-3); border: 1px solid var(--border-subtle); border-radius: var(--radius-lg); font-size: var(--text-base); transition: border-color var(--duration-fast) var(--ease-standard); background: var(--surface-primary);"
-                      placeholder="your@email.com"
-                    >
-                  </div>
-                  <div style="margin-bottom: var(--space-6);">
-                    <label style="display: block; margin-bottom: var(--space-2); font-weight: var(--font-weight-medium); color: var(--text-primary);">
-                      主题 *
-                    </label>
-                    <input 
-                      type="text" 
-                      required
-                      style="width: 100%; padding: var(--space-3); border: 1px solid var(--border-subtle); border-radius: var(--radius-lg); font-size: var(--text-base); transition: border-color var(--duration-fast) var(--ease-standard); background: var(--surface-primary);"
-                      placeholder="消息主题"
-                    >
-                  </div>
-                  <div style="margin-bottom: var(--space-6);">
-                    <label style="display: block; margin-bottom: var(--space-2); font-weight: var(--font-weight-medium); color: var(--text-primary);">
-                      消息 *
-                    </label>
-                    <textarea 
-                      rows="5" 
-                      required
-                      style="width: 100%; padding: var(--space-3); border: 1px solid var(--border-subtle); border-radius: var(--radius-lg); font-size: var(--text-base); resize: vertical; transition: border-color var(--duration-fast) var(--ease-standard); background: var(--surface-primary);"
-                      placeholder="请输入您的消息..."
-                    ></textarea>
+                <form class="contact-form" data-contact-form data-replace novalidate>
+                  ${this.getContactField({ name: 'name', type: 'text', autocomplete: 'name', maxLength: 100 })}
+                  ${this.getContactField({ name: 'email', type: 'email', autocomplete: 'email', maxLength: 200 })}
+                  ${this.getContactField({ name: 'subject', type: 'text', maxLength: 150 })}
+                  ${this.getContactField({ name: 'message', multiline: true, minLength: 10, maxLength: 5000 })}
+                  
+                  <!-- 蜜罐字段：对访客隐藏，机器人自动填写后提交会被忽略 -->
+                  <div class="form-honeypot" aria-hidden="true">
+                    <label for="contact-website">Website</label>
+                    <input id="contact-website" type="text" name="website" tabindex="-1" autocomplete="off" data-honeypot>
                   </div>
+                  
                   <button type="submit" class="btn btn-primary" style="width: 100%;">
                     <i class="fas fa-paper-plane" aria-hidden="true"></i>
-                    发送消息
+                    <span data-submit-label>${this.t('contactForm.submit')}</span>
                   </button>
+                  <p class="form-status" role="status" aria-live="polite" data-form-status></p>
                 </form>
               </div>
             </div>
@@ -642,48 +5189,514 @@ class ModernWebApp {
   }
 
   /**
-   * 404错误页面
+   * 联系表单字段
+   */
+  getContactField({ name, type = 'text', multiline = false, autocomplete = 'off', minLength, maxLength }) {
+    const id = `contact-${name}`;
+    const label = this.t(`contactForm.${name}`);
+    const attributes = attrs({
+      id,
+      name,
+      class: 'form-control',
+      required: true,
+      'data-field': true,
+      'data-label': label,
+      'aria-describedby': `${id}-error`,
+      minlength: minLength,
+      maxlength: maxLength,
+      placeholder: this.t(`contactForm.${name}Placeholder`)
+    });
+
+    return html`
+      <div class="form-field">
+        <label class="form-label" for="${id}">${label} *</label>
+        ${multiline
+          ? html`<textarea rows="5" ${attributes}></textarea>`
+          : html`<input type="${type}" autocomplete="${autocomplete}" ${attributes}>`}
+        <p class="form-error" id="${id}-error" hidden></p>
+      </div>
+    `;
+  }
+
+  /**
+   * 挂载联系表单控制器
+   */
+  mountContactForm() {
+    const form = this.root.querySelector('[data-contact-form]');
+    if (!form) return;
+
+    this.contactForm = new ContactForm(form, {
+      config: this.config.contact,
+      t: (key, vars) => this.t(key, vars),
+      onSubmit: () => this.analytics.event('form_submit', { form: 'contact', transport: this.config.contact.transport })
+    });
+    this.contactForm.attach();
+  }
+
+  /**
+   * 404错误页面
+   */
+  get404Content() {
+    return html`
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title animate-fade-in-up">404</h1>
+          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
+            ${this.t('notFound.subtitle')}
+          </p>
+          <p class="animate-fade-in-up" style="animation-delay: 0.2s; color: var(--text-secondary); margin-bottom: var(--space-8);">
+            ${this.t('notFound.message')}
+          </p>
+          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.3s;">
+            <a href="#" class="btn btn-primary" data-page="home">
+              <i class="fas fa-home" aria-hidden="true"></i>
+              ${this.t('notFound.backHome')}
+            </a>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * 页面出错时在主内容区显示的内容，导航栏等页面外的部分保持可用
+   * 路由可以提供 renderError(params, error) 显示自己的错误界面，返回 null 或渲染失败时使用通用错误页面
+   */
+  getErrorBoundary(page, params, error) {
+    const route = this.router.get(page);
+    if (route && route.renderError) {
+      try {
+        const content = route.renderError(params, error);
+        if (content != null) return content;
+      } catch (renderError) {
+        console.error('Error rendering error boundary:', renderError);
+      }
+    }
+    return this.getErrorContent();
+  }
+
+  /**
+   * 错误页面内容，离线时提示连接网络
+   */
+  getErrorContent() {
+    const offline = this.window.navigator.onLine === false;
+    return html`
+      <section class="hero">
+        <div class="hero-container">
+          <h1 class="hero-title">${this.t(offline ? 'error.offlineTitle' : 'error.title')}</h1>
+          <p class="hero-subtitle">${this.t(offline ? 'error.offlineMessage' : 'error.message')}</p>
+          <div class="hero-actions">
+            <button type="button" class="btn btn-primary" data-action="retry">
+              <i class="fas fa-rotate-right" aria-hidden="true"></i>
+              ${this.t('error.retry')}
+            </button>
+            <a href="#" class="btn btn-secondary" data-page="home">
+              <i class="fas fa-home" aria-hidden="true"></i>
+              ${this.t('error.backHome')}
+            </a>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * 注册 Service Worker，新版本安装完成后提示访客刷新
+   */
+  async registerServiceWorker() {
+    const { enabled, url } = this.config.serviceWorker;
+    if (!enabled || !('serviceWorker' in this.window.navigator)) return;
+
+    let registration;
+    try {
+      registration = await this.window.navigator.serviceWorker.register(url);
+    } catch (error) {
+      console.warn('Service worker registration failed:', error.message);
+      return;
+    }
+
+    // 注册期间应用可能已被销毁
+    if (!this.lifecycle) return;
+
+    // 已有控制页面的旧版本时，新版本会等待访客确认；首次安装无需提示
+    if (registration.waiting && this.window.navigator.serviceWorker.controller) {
+      this.showUpdatePrompt(registration.waiting);
+    }
+    this.listen(registration, 'updatefound', () => {
+      const worker = registration.installing;
+      this.listen(worker, 'statechange', () => {
+        if (worker.state === 'installed' && this.window.navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(worker);
+        }
+      });
+    });
+
+    // 新版本接管后刷新页面；首次安装时的接管不刷新
+    this.listen(this.window.navigator.serviceWorker, 'controllerchange', () => {
+      if (this.updateRequested) {
+        this.window.location.reload();
+      }
+    });
+  }
+
+  /**
+   * 显示新版本提示
+   */
+  showUpdatePrompt(worker) {
+    this.waitingWorker = worker;
+    if (this.root.querySelector('.update-prompt')) return;
+
+    const prompt = this.document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = html`
+      <i class="fas fa-circle-arrow-up" aria-hidden="true"></i>
+      <span>${this.t('update.available')}</span>
+      <button type="button" class="btn btn-primary btn-sm" data-action="apply-update">
+        ${this.t('update.reload')}
+      </button>
+      <button type="button" class="update-prompt-dismiss" data-action="dismiss-update" aria-label="${this.t('update.dismiss')}">
+        <i class="fas fa-xmark" aria-hidden="true"></i>
+      </button>
+    `;
+    this.host.appendChild(prompt);
+  }
+
+  /**
+   * 访问统计：已同意时直接加载，尚未选择时显示同意提示；
+   * 外部链接点击与项目卡片打开通过事件委托统一上报
+   */
+  setupAnalytics() {
+    this.analytics.start();
+    if (this.analytics.needsConsent) {
+      this.showConsentBanner();
+    }
+
+    this.listen(this.root, 'click', (event) => {
+      const link = event.target.closest('a[href]');
+      if (!link) return;
+
+      const url = new URL(link.href, this.window.location.href);
+      if (/^https?:$/.test(url.protocol) && url.origin !== this.window.location.origin) {
+        this.analytics.event('outbound_click', { url: url.href });
+      } else if (link.dataset.page === 'project' && link.closest('.card')) {
+        this.analytics.event('project_open', { slug: this.getLinkParams(link).slug });
+      }
+    });
+  }
+
+  /**
+   * 上报当前页面浏览（未获同意时不会发送）
+   */
+  trackPageView() {
+    this.analytics.page({ url: this.window.location.href, title: this.document.title });
+  }
+
+  /**
+   * 显示访问统计同意提示
+   */
+  showConsentBanner() {
+    if (this.root.querySelector('.consent-banner')) return;
+
+    const banner = this.document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', this.t('consent.label'));
+    banner.dataset.i18nLabel = 'consent.label';
+    banner.innerHTML = html`
+      <p data-i18n="consent.message">${this.t('consent.message')}</p>
+      <div class="consent-banner-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-action="decline-analytics" data-i18n="consent.decline">
+          ${this.t('consent.decline')}
+        </button>
+        <button type="button" class="btn btn-primary btn-sm" data-action="accept-analytics" data-i18n="consent.accept">
+          ${this.t('consent.accept')}
+        </button>
+      </div>
+    `;
+    this.host.appendChild(banner);
+  }
+
+  /**
+   * 保存访客的选择并关闭提示；同意后补报当前页面
+   */
+  setAnalyticsConsent(granted) {
+    const banner = this.root.querySelector('.consent-banner');
+    if (banner) banner.remove();
+
+    const wasActive = Boolean(this.analytics.client);
+    if (this.analytics.setConsent(granted) && !wasActive) {
+      this.trackPageView();
+    }
+  }
+
+  /**
+   * 错误上报：捕获未处理的异常与 Promise 拒绝，记录导航轨迹，页面隐藏或卸载前发送队列中的报告
+   */
+  setupErrorReporting() {
+    this.on('afterNavigate', ({ detail: { route } }) => {
+      this.errors.addBreadcrumb({ type: 'navigation', route: route.name, url: this.window.location.href });
+    });
+
+    this.listen(this.window, 'error', (event) => {
+      console.error('Global error:', event.error);
+      this.reportError(event.error || event.message, 'global');
+    });
+
+    this.listen(this.window, 'unhandledrejection', (event) => {
+      console.error('Unhandled promise rejection:', event.reason);
+      this.reportError(event.reason, 'unhandledrejection');
+    });
+
+    this.listen(this.document, 'visibilitychange', () => {
+      if (this.document.visibilityState === 'hidden') {
+        this.errors.flush();
+      }
+    });
+    this.listen(this.window, 'pagehide', () => this.errors.flush());
+  }
+
+  /**
+   * 上报错误，route 默认为当前页面
+   */
+  reportError(error, source, route = this.currentPage) {
+    this.errors.capture(error, { source, route });
+  }
+
+  /**
+   * 启用等待中的新版本，接管后由 controllerchange 刷新页面
+   */
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+
+    this.updateRequested = true;
+    this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  /**
+   * 命令面板的搜索索引
+   * 与页面渲染共用路由表和内容数据：页面来自路由表，项目与文章来自各路由的 load，
+   * 标题取自页面渲染结果中的 h2/h3；按语言缓存
+   */
+  async getSearchIndex() {
+    const { locale } = this.i18n;
+    if (this.searchIndex && this.searchIndex.locale === locale) {
+      return this.searchIndex.items;
+    }
+
+    // 无参数的路由即可直接访问的页面；单个页面数据加载失败时跳过
+    const pages = this.router.routes.filter(route => !route.keys.length);
+    const pageData = await Promise.all(pages.map(route => {
+      return route.load ? route.load({}, {}).catch(() => undefined) : Promise.resolve(null);
+    }));
+    const dataFor = name => pageData[pages.findIndex(route => route.name === name)];
+
+    const groups = {
+      pages: this.t('palette.groups.pages'),
+      projects: this.t('palette.groups.projects'),
+      posts: this.t('palette.groups.posts'),
+      tags: this.t('palette.groups.tags'),
+      headings: this.t('palette.groups.headings'),
+      actions: this.t('palette.groups.actions')
+    };
+    const items = [];
+
+    pages.forEach((route, index) => {
+      if (pageData[index] === undefined) return;
+
+      const label = this.t(`nav.${route.name}`);
+      items.push({
+        group: groups.pages,
+        label,
+        icon: route.meta.icon,
+        run: () => this.goTo(route.name)
+      });
+
+      this.getPageHeadings(route.render({}, pageData[index])).forEach(heading => {
+        items.push({
+          group: groups.headings,
+          label: heading,
+          description: label,
+          icon: 'fas fa-hashtag',
+          run: () => this.goToHeading(route.name, {}, heading)
+        });
+      });
+    });
+
+    const projectData = dataFor('projects');
+    if (projectData) {
+      projectData.projects.forEach(project => {
+        items.push({
+          group: groups.projects,
+          label: project.title,
+          description: project.description,
+          keywords: project.tags,
+          icon: project.icon,
+          run: () => this.goTo('project', { slug: project.slug })
+        });
+      });
+
+      [...new Set(projectData.projects.flatMap(project => project.tags))].forEach(tag => {
+        items.push({
+          group: groups.tags,
+          label: tag,
+          description: this.t('palette.projectTag'),
+          icon: 'fas fa-tag',
+          run: () => this.goTo('projects', {}, new URLSearchParams({ tag }))
+        });
+      });
+    }
+
+    const posts = dataFor('blog');
+    if (posts) {
+      posts.forEach(post => {
+        items.push({
+          group: groups.posts,
+          label: post.title,
+          description: post.summary,
+          keywords: post.tags,
+          icon: 'fas fa-file-lines',
+          run: () => this.goTo('blog-post', { slug: post.slug })
+        });
+
+        this.getPageHeadings(post.html).forEach(heading => {
+          items.push({
+            group: groups.headings,
+            label: heading,
+            description: post.title,
+            icon: 'fas fa-hashtag',
+            run: () => this.goToHeading('blog-post', { slug: post.slug }, heading)
+          });
+        });
+      });
+
+      [...new Set(posts.flatMap(post => post.tags))].forEach(tag => {
+        items.push({
+          group: groups.tags,
+          label: tag,
+          description: this.t('palette.blogTag'),
+          icon: 'fas fa-tag',
+          run: () => this.goTo('blog-tag', { tag })
+        });
+      });
+    }
+
+    items.push(
+      {
+        group: groups.actions,
+        label: this.t('palette.actions.copyEmail'),
+        description: this.config.contact.email,
+        icon: 'fas fa-copy',
+        run: () => this.copyEmail()
+      },
+      {
+        group: groups.actions,
+        label: this.t('palette.actions.toggleMenu'),
+        icon: 'fas fa-bars',
+        run: () => this.handleMobileMenu()
+      },
+      {
+        group: groups.actions,
+        label: this.t('locale.switchLabel'),
+        icon: 'fas fa-language',
+        run: () => this.switchLocale(this.getNextLocale())
+      },
+      {
+        group: groups.actions,
+        label: this.t('palette.actions.cycleTheme'),
+        icon: 'fas fa-circle-half-stroke',
+        run: () => this.theme.set(this.theme.next())
+      }
+    );
+
+    if (this.analytics.available) {
+      items.push({
+        group: groups.actions,
+        label: this.t('palette.actions.analytics'),
+        icon: 'fas fa-chart-simple',
+        run: () => this.showConsentBanner()
+      });
+    }
+
+    this.searchIndex = { locale, items };
+    return items;
+  }
+
+  /**
+   * 提取页面HTML中的 h2/h3 标题
+   * 跳过隐藏区域和链接标题（项目、文章卡片已作为独立条目索引）
+   */
+  getPageHeadings(markup) {
+    if (!markup) return [];
+
+    const template = this.document.createElement('template');
+    template.innerHTML = markup;
+    const headings = [...template.content.querySelectorAll('h2, h3')]
+      .filter(heading => !heading.closest('[hidden]') && !heading.querySelector('a'))
+      .map(heading => heading.textContent.trim())
+      .filter(Boolean);
+    return [...new Set(headings)];
+  }
+
+  /**
+   * 打开指定页面（已在该页面且无查询参数时不重复加载）
+   */
+  goTo(page, params = {}, query = null) {
+    if (!query && this.isCurrentRoute(page, params)) return;
+    this.navigateTo(page, params, query ? { query } : {});
+  }
+
+  /**
+   * 打开指定页面并滚动到文本匹配的标题
+   */
+  async goToHeading(page, params, text) {
+    // 页面加载后才有自动生成的标题 id；跳转到新页面时替换其历史记录，避免多出一条
+    const scrollToHeading = ({ replace }) => {
+      const heading = [...this.root.querySelectorAll('#main-content h2, #main-content h3')]
+        .find(element => element.textContent.trim() === text);
+      if (heading) {
+        this.goToFragment(heading.id, { replace });
+      }
+    };
+
+    if (this.isCurrentRoute(page, params)) {
+      scrollToHeading({ replace: false });
+      return;
+    }
+    if (await this.navigateTo(page, params)) {
+      scrollToHeading({ replace: true });
+    }
+  }
+
+  /**
+   * 复制联系邮箱
    */
-  get404Content() {
-    return `
-      <section class="hero">
-        <div class="hero-container">
-          <h1 class="hero-title animate-fade-in-up">404</h1>
-          <p class="hero-subtitle animate-fade-in-up" style="animation-delay: 0.1s;">
-            页面未找到
-          </p>
-          <p class="animate-fade-in-up" style="animation-delay: 0.2s; color: var(--text-secondary); margin-bottom: var(--space-8);">
-            抱歉，您访问的页面不存在或已被移动。
-          </p>
-          <div class="hero-actions animate-fade-in-up" style="animation-delay: 0.3s;">
-            <a href="#" class="btn btn-primary" data-page="home">
-              <i class="fas fa-home" aria-hidden="true"></i>
-              返回首页
-            </a>
-          </div>
-        </div>
-      </section>
-    `;
+  async copyEmail() {
+    const { email } = this.config.contact;
+    try {
+      await this.window.navigator.clipboard.writeText(email);
+      this.showToast(this.t('palette.copied', { email }));
+    } catch (error) {
+      this.showToast(this.t('palette.copyFailed', { email }));
+    }
   }
 
   /**
-   * 错误页面内容
+   * 显示短暂的提示消息
    */
-  getErrorContent() {
-    return `
-      <section class="hero">
-        <div class="hero-container">
-          <h1 class="hero-title">出错了</h1>
-          <p class="hero-subtitle">页面加载失败，请刷新重试</p>
-          <div class="hero-actions">
-            <button class="btn btn-primary" onclick="location.reload()">
-              <i class="fas fa-refresh" aria-hidden="true"></i>
-              刷新页面
-            </button>
-          </div>
-        </div>
-      </section>
-    `;
+  showToast(message) {
+    let toast = this.root.querySelector('.toast');
+    if (!toast) {
+      toast = this.document.createElement('div');
+      toast.className = 'toast';
+      toast.setAttribute('role', 'status');
+      this.host.appendChild(toast);
+    }
+
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => toast.classList.remove('visible'), 3000);
   }
 
   /**
@@ -691,12 +5704,20 @@ class ModernWebApp {
    */
   setupScrollEffects() {
     let isScrolling = false;
-    const navbar = document.querySelector('.navbar');
+    const navbar = this.root.querySelector('.navbar');
+    
+    // 由页面自行恢复滚动位置，避免与浏览器的自动恢复冲突
+    if ('scrollRestoration' in this.window.history) {
+      this.window.history.scrollRestoration = 'manual';
+    }
     
     const handleScroll = () => {
       if (!isScrolling) {
-        window.requestAnimationFrame(() => {
-          const scrollTop = window.pageYOffset;
+        this.window.requestAnimationFrame(() => {
+          const scrollTop = this.window.pageYOffset;
+          
+          // 记录当前历史记录的滚动位置
+          this.scrollPositions.set(this.getHistoryKey(), scrollTop);
           
           // 导航栏背景变化
           if (scrollTop > 50) {
@@ -712,7 +5733,46 @@ class ModernWebApp {
       }
     };
     
-    window.addEventListener('scroll', handleScroll, { passive: true });
+    this.listen(this.window, 'scroll', handleScroll, { passive: true });
+    this.listen(this.window, 'pagehide', () => this.saveScrollPositions());
+  }
+
+  /**
+   * 读取保存的滚动位置
+   */
+  readScrollPositions() {
+    try {
+      const saved = JSON.parse(this.window.sessionStorage.getItem(this.config.navigation.scrollStorageKey));
+      return new Map(saved || []);
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * 保存滚动位置，仅保留最近的记录
+   */
+  saveScrollPositions() {
+    try {
+      const entries = [...this.scrollPositions].slice(-50);
+      this.window.sessionStorage.setItem(this.config.navigation.scrollStorageKey, JSON.stringify(entries));
+    } catch (error) {
+      // 存储不可用时仅在当前页面会话内恢复
+    }
+  }
+
+  /**
+   * 当前历史记录的标识
+   */
+  getHistoryKey() {
+    return this.window.history.state && this.window.history.state.key;
+  }
+
+  /**
+   * 生成历史记录标识
+   */
+  createHistoryKey() {
+    return Math.random().toString(36).slice(2, 10);
   }
 
   /**
@@ -720,7 +5780,7 @@ class ModernWebApp {
    */
   setupAnimations() {
     // 如果浏览器不支持IntersectionObserver，则跳过动画
-    if (!('IntersectionObserver' in window)) {
+    if (!('IntersectionObserver' in this.window)) {
       console.warn('IntersectionObserver not supported');
       return;
     }
@@ -742,7 +5802,7 @@ class ModernWebApp {
       rootMargin: '0px 0px -50px 0px'
     };
     
-    this.animationObserver = new IntersectionObserver((entries) => {
+    this.animationObserver = new this.window.IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           entry.target.classList.add('in-view');
@@ -753,52 +5813,120 @@ class ModernWebApp {
     }, options);
     
     // 观察所有需要动画的元素
-    document.querySelectorAll('.animate-on-scroll').forEach(element => {
+    this.root.querySelectorAll('.animate-on-scroll').forEach(element => {
       this.animationObserver.observe(element);
     });
   }
 
+  /**
+   * 创建导航进度条
+   */
+  setupProgressBar() {
+    this.progressBar = this.document.createElement('div');
+    this.progressBar.className = 'progress-bar';
+    this.progressBar.setAttribute('aria-hidden', 'true');
+    this.host.prepend(this.progressBar);
+  }
+
   /**
    * 设置移动端菜单
    */
   setupMobileMenu() {
-    const toggle = document.querySelector('.navbar-toggle');
-    const nav = document.querySelector('.navbar-nav');
+    const toggle = this.root.querySelector('.navbar-toggle');
+    const nav = this.root.querySelector('.navbar-nav');
     
     if (!toggle || !nav) return;
     
-    toggle.addEventListener('click', this.handleMobileMenu);
+    this.listen(toggle, 'click', this.handleMobileMenu);
     
     // 点击导航链接后关闭菜单
-    nav.addEventListener('click', (event) => {
+    this.listen(nav, 'click', (event) => {
       if (event.target.matches('.navbar-link')) {
         this.closeMobileMenu();
       }
     });
     
-    // ESC键关闭菜单
-    document.addEventListener('keydown', (event) => {
-      if (event.key === 'Escape') {
+    // 点击导航栏以外的区域关闭菜单
+    this.listen(this.root, 'click', (event) => {
+      if (this.isMobileMenuOpen() && !event.target.closest('.navbar')) {
         this.closeMobileMenu();
       }
     });
+    
+    // ESC键关闭菜单并将焦点还给切换按钮，Tab 键焦点限制在导航栏内
+    this.listen(this.root, 'keydown', (event) => {
+      if (!this.isMobileMenuOpen()) return;
+      
+      if (event.key === 'Escape') {
+        this.closeMobileMenu({ restoreFocus: true });
+      } else if (event.key === 'Tab') {
+        this.trapMenuFocus(event);
+      }
+    });
+  }
+
+  /**
+   * 移动端菜单是否展开
+   */
+  isMobileMenuOpen() {
+    const nav = this.root.querySelector('.navbar-nav');
+    return Boolean(nav && nav.classList.contains('active'));
   }
 
   /**
    * 处理移动端菜单切换
    */
   handleMobileMenu() {
-    const toggle = document.querySelector('.navbar-toggle');
-    const nav = document.querySelector('.navbar-nav');
+    if (this.isMobileMenuOpen()) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+
+  /**
+   * 打开移动端菜单：锁定页面滚动，焦点移到当前菜单项
+   */
+  openMobileMenu() {
+    const toggle = this.root.querySelector('.navbar-toggle');
+    const nav = this.root.querySelector('.navbar-nav');
+    
+    if (!toggle || !nav) return;
+    
+    toggle.setAttribute('aria-expanded', 'true');
+    nav.classList.add('active');
+    this.document.body.classList.add('menu-open');
+    this.updateMenuIcon(toggle, true);
+    
+    const current = nav.querySelector('[role="menuitem"][tabindex="0"]') || nav.querySelector('[role="menuitem"]');
+    if (current) current.focus();
+  }
+
+  /**
+   * 关闭移动端菜单
+   */
+  closeMobileMenu({ restoreFocus = false } = {}) {
+    const toggle = this.root.querySelector('.navbar-toggle');
+    const nav = this.root.querySelector('.navbar-nav');
     
-    const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+    if (!toggle || !nav) return;
     
-    toggle.setAttribute('aria-expanded', !isExpanded);
-    nav.classList.toggle('active');
+    toggle.setAttribute('aria-expanded', 'false');
+    nav.classList.remove('active');
+    this.document.body.classList.remove('menu-open');
+    this.updateMenuIcon(toggle, false);
     
-    // 切换汉堡菜单图标
+    if (restoreFocus) {
+      toggle.focus();
+    }
+  }
+
+  /**
+   * 切换汉堡菜单/关闭图标
+   */
+  updateMenuIcon(toggle, open) {
     const icon = toggle.querySelector('svg');
-    if (nav.classList.contains('active')) {
+    if (open) {
       icon.innerHTML = `
         <line x1="18" y1="6" x2="6" y2="18"></line>
         <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -813,31 +5941,106 @@ class ModernWebApp {
   }
 
   /**
-   * 关闭移动端菜单
+   * 菜单展开时将 Tab 焦点循环限制在导航栏内的可聚焦元素之间
    */
-  closeMobileMenu() {
-    const toggle = document.querySelector('.navbar-toggle');
-    const nav = document.querySelector('.navbar-nav');
+  trapMenuFocus(event) {
+    const navbar = this.root.querySelector('.navbar');
+    const focusable = Array.from(navbar.querySelectorAll('a[href], button:not([disabled])'))
+      .filter(element => element.tabIndex >= 0 && element.getClientRects().length > 0);
+    if (!focusable.length) return;
     
-    if (!toggle || !nav) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = this.document.activeElement;
     
-    toggle.setAttribute('aria-expanded', 'false');
-    nav.classList.remove('active');
+    if (!navbar.contains(active)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * 主导航菜单栏的键盘操作（roving tabindex）：
+   * 方向键在菜单项之间移动，Home/End 跳到首尾，空格键打开菜单项
+   */
+  setupMenubar() {
+    const menubar = this.root.querySelector('[role="menubar"]');
+    if (!menubar) return;
     
-    // 重置汉堡菜单图标
-    const icon = toggle.querySelector('svg');
-    icon.innerHTML = `
-      <line x1="3" y1="6" x2="21" y2="6"></line>
-      <line x1="3" y1="12" x2="21" y2="12"></line>
-      <line x1="3" y1="18" x2="21" y2="18"></line>
-    `;
+    this.listen(menubar, 'keydown', (event) => {
+      const item = event.target.closest('[role="menuitem"]');
+      if (!item || event.altKey || event.ctrlKey || event.metaKey) return;
+      
+      const items = Array.from(menubar.querySelectorAll('[role="menuitem"]'));
+      const index = items.indexOf(item);
+      let next;
+      
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          next = (index + 1) % items.length;
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          next = (index - 1 + items.length) % items.length;
+          break;
+        case 'Home':
+          next = 0;
+          break;
+        case 'End':
+          next = items.length - 1;
+          break;
+        case ' ':
+          event.preventDefault();
+          item.click();
+          return;
+        default:
+          return;
+      }
+      
+      event.preventDefault();
+      items.forEach((element, position) => {
+        element.tabIndex = position === next ? 0 : -1;
+      });
+      items[next].focus();
+    });
+  }
+
+  /**
+   * 滚动到元素，预留固定导航栏的高度
+   */
+  scrollToElement(element, { smooth = true } = {}) {
+    const navbar = this.root.querySelector('.navbar');
+    const offset = (navbar ? navbar.offsetHeight : 0) + 16;
+    const position = Math.max(0, element.getBoundingClientRect().top + this.window.pageYOffset - offset);
+
+    if (smooth) {
+      this.smoothScrollTo(position);
+    } else {
+      this.scrollToPosition(position);
+    }
+  }
+
+  /**
+   * 立即滚动到指定位置，并取消尚未完成的平滑滚动
+   */
+  scrollToPosition(position) {
+    this.window.cancelAnimationFrame(this.scrollAnimation);
+    this.window.scrollTo(0, position);
   }
 
   /**
-   * 平滑滚动到指定位置
+   * 平滑滚动到指定位置，新的滚动会取消尚未完成的滚动
    */
   smoothScrollTo(position, duration = 500) {
-    const start = window.pageYOffset;
+    this.window.cancelAnimationFrame(this.scrollAnimation);
+    const start = this.window.pageYOffset;
     const distance = position - start;
     let startTime = null;
     
@@ -851,38 +6054,391 @@ class ModernWebApp {
         ? 2 * progress * progress 
         : 1 - Math.pow(-2 * progress + 2, 2) / 2;
       
-      window.scrollTo(0, start + distance * ease);
+      this.window.scrollTo(0, start + distance * ease);
       
       if (timeElapsed < duration) {
-        requestAnimationFrame(animation);
+        this.scrollAnimation = this.window.requestAnimationFrame(animation);
       }
     };
     
-    requestAnimationFrame(animation);
+    this.scrollAnimation = this.window.requestAnimationFrame(animation);
   }
 
   /**
    * 更新页面标题
    */
-  updatePageTitle(page) {
-    const titles = {
-      home: 'Birtney666 - 开发者 & 创造者',
-      about: '关于我 - Birtney666',
-      projects: '我的项目 - Birtney666',
-      contact: '联系我 - Birtney666'
+  updatePageTitle(route, params = {}, data = null) {
+    this.document.title = this.getPageTitle(route, params, data);
+  }
+
+  /**
+   * 路由声明的页面标题
+   */
+  getPageTitle(route, params = {}, data = null) {
+    const title = typeof route.title === 'function' ? route.title(params, data) : route.title;
+    return title || this.t('titles.home');
+  }
+
+  /**
+   * 更新描述、规范链接、Open Graph / Twitter 卡片与 JSON-LD 结构化数据
+   */
+  updateMeta(route, params = {}, data = null) {
+    const { canonical: url, tags, structuredData } = this.getMeta(route, params, data);
+
+    tags.forEach(([attribute, key, content]) => this.setMeta(attribute, key, content));
+
+    let canonical = this.document.head.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+      canonical = this.document.createElement('link');
+      canonical.rel = 'canonical';
+      this.document.head.appendChild(canonical);
+    }
+    canonical.href = url;
+
+    this.setStructuredData(structuredData);
+  }
+
+  /**
+   * 计算页面的元数据，浏览器端与预渲染脚本共用
+   * 路由通过 seo(params, data) 声明 { description, image, type, robots, structuredData }；
+   * 返回的 tags 为 [属性名, 键, 内容] 列表，内容为空表示移除该标签
+   */
+  getMeta(route, params = {}, data = null) {
+    const { siteName, image: defaultImage, twitterCard } = this.config.seo;
+    const seo = route.seo ? route.seo(params, data) : {};
+    const title = this.getPageTitle(route, params, data);
+    const description = seo.description || this.t('seo.home');
+    const image = this.getAbsoluteURL(seo.image || defaultImage);
+    const path = this.router.buildPath(route.name, params) || this.splitLocale(this.getCurrentPath()).path;
+    const canonical = this.getCanonicalURL(path);
+
+    return {
+      title,
+      canonical,
+      structuredData: seo.structuredData || null,
+      tags: [
+        ['name', 'description', description],
+        ['name', 'robots', seo.robots],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:type', seo.type || 'website'],
+        ['property', 'og:url', canonical],
+        ['property', 'og:image', image],
+        ['property', 'og:site_name', siteName],
+        ['property', 'og:locale', this.t('seo.ogLocale')],
+        ['name', 'twitter:card', twitterCard],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+      ]
+    };
+  }
+
+  /**
+   * 设置 <meta> 标签，内容为空时移除
+   */
+  setMeta(attribute, key, content) {
+    let meta = this.document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!content) {
+      if (meta) meta.remove();
+      return;
+    }
+    if (!meta) {
+      meta = this.document.createElement('meta');
+      meta.setAttribute(attribute, key);
+      this.document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+  }
+
+  /**
+   * 替换页面的 JSON-LD 结构化数据
+   */
+  setStructuredData(data) {
+    this.document.head.querySelectorAll('script[type="application/ld+json"]').forEach(script => script.remove());
+    if (!data) return;
+
+    const script = this.document.createElement('script');
+    script.type = 'application/ld+json';
+    // 转义 <，避免内容中的 </script> 提前结束标签
+    script.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+    this.document.head.appendChild(script);
+  }
+
+  /**
+   * 基于正式站点地址的绝对URL
+   */
+  getAbsoluteURL(path) {
+    return new URL(path, this.config.seo.siteUrl).href;
+  }
+
+  /**
+   * 页面的规范URL（不含查询参数与锚点）
+   */
+  getCanonicalURL(path, locale = this.i18n.locale) {
+    return this.getAbsoluteURL(this.toURL(path, locale));
+  }
+
+  /**
+   * 站点作者（Person）结构化数据
+   */
+  getPersonSchema() {
+    const { siteUrl, siteName } = this.config.seo;
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      '@id': `${siteUrl}/#person`,
+      name: siteName,
+      url: siteUrl,
+      jobTitle: this.t('home.subtitle'),
+      email: `mailto:${this.config.contact.email}`,
+      sameAs: [`https://github.com/${this.config.github.username}`]
+    };
+  }
+
+  /**
+   * 项目（CreativeWork）结构化数据
+   */
+  getProjectSchema(project) {
+    const { '@context': context, ...author } = this.getPersonSchema();
+    return {
+      '@context': context,
+      '@type': 'CreativeWork',
+      name: project.title,
+      description: project.description,
+      url: this.getCanonicalURL(this.router.buildPath('project', { slug: project.slug })),
+      image: (project.screenshots || []).map(screenshot => this.getAbsoluteURL(screenshot.src)),
+      keywords: project.tags.join(', '),
+      inLanguage: this.i18n.locale,
+      author,
+      sameAs: (project.links || []).map(link => link.url)
+    };
+  }
+
+  /**
+   * 博客文章（BlogPosting）结构化数据
+   */
+  getBlogPostingSchema(post) {
+    const { '@context': context, ...author } = this.getPersonSchema();
+    const url = this.getCanonicalURL(this.router.buildPath('blog-post', { slug: post.slug }));
+    return {
+      '@context': context,
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description: post.summary,
+      datePublished: post.date || undefined,
+      keywords: post.tags.join(', '),
+      inLanguage: this.i18n.locale,
+      url,
+      mainEntityOfPage: url,
+      image: this.getAbsoluteURL(this.config.seo.image),
+      author
     };
-    
-    document.title = titles[page] || titles.home;
   }
 
   /**
    * 触发页面加载完成事件
    */
-  dispatchPageLoadEvent(page) {
-    const event = new CustomEvent('pageLoaded', {
-      detail: { page, timestamp: Date.now() }
+  dispatchPageLoadEvent(page, params = {}) {
+    const event = new this.window.CustomEvent('pageLoaded', {
+      detail: { page, params, timestamp: Date.now() }
+    });
+    this.document.dispatchEvent(event);
+  }
+
+  /**
+   * 订阅导航生命周期钩子，返回取消订阅的函数。按触发顺序：
+   * - beforeLeave { from, to }：即将离开当前页面，可取消（首次加载不触发）
+   * - beforeNavigate { from, to }：即将开始加载新页面，可取消
+   * - beforeRender { route, params, data, query, prerendered }：数据已就绪，渲染页面内容之前
+   * - afterRender { route, params, data, root, prerendered }：内容已插入，页面交互挂载之前
+   * - afterNavigate { route, params, data }：页面加载完成
+   * - navigationError { page, params, error }：加载或渲染失败，随后显示错误页面
+   * from / to 为 { page, params, query, hash }（from 不含 query 与 hash）。
+   * 回调收到 CustomEvent，详情在 event.detail 中；可取消的钩子调用 event.preventDefault() 即阻止导航。
+   * 每个钩子同时以 app:<钩子名> 在 document 上派发（如 app:beforeNavigate），不持有 app 实例也能监听
+   */
+  on(hook, handler) {
+    if (!this.listeners.has(hook)) {
+      this.listeners.set(hook, new Set());
+    }
+    this.listeners.get(hook).add(handler);
+    return () => this.off(hook, handler);
+  }
+
+  /**
+   * 取消订阅生命周期钩子
+   */
+  off(hook, handler) {
+    const handlers = this.listeners.get(hook);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * 触发生命周期钩子：依次调用订阅者，再在 document 上派发 DOM 事件
+   * 返回 false 表示可取消的钩子被阻止；单个订阅者出错不影响导航
+   */
+  emit(hook, detail, { cancelable = false } = {}) {
+    const event = new this.window.CustomEvent(`app:${hook}`, { detail, cancelable });
+
+    [...(this.listeners.get(hook) || [])].forEach(handler => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Error in ${hook} hook:`, error);
+      }
+    });
+    this.document.dispatchEvent(event);
+
+    return !event.defaultPrevented;
+  }
+
+  /**
+   * 导航前确认：先询问当前页面能否离开（路由的 beforeLeave 与 beforeLeave 钩子），再触发 beforeNavigate
+   */
+  confirmNavigation(to) {
+    const from = this.activeRoute && { page: this.activeRoute.route.name, params: this.activeRoute.params };
+
+    if (from) {
+      const { route, params } = this.activeRoute;
+      if (route.beforeLeave && route.beforeLeave(params, to) === false) return false;
+      if (!this.emit('beforeLeave', { from, to }, { cancelable: true })) return false;
+    }
+    return this.emit('beforeNavigate', { from, to }, { cancelable: true });
+  }
+
+  /**
+   * 卸载当前页面的交互，在主内容被替换之前调用
+   */
+  unmountRoute() {
+    if (!this.activeRoute) return;
+
+    const { route, params } = this.activeRoute;
+    this.activeRoute = null;
+    if (route.unmount) {
+      route.unmount(params);
+    }
+  }
+
+  /**
+   * 性能监测：开始采集 Web Vitals，页面隐藏或卸载前输出最终值；按地址参数开关调试面板
+   */
+  setupPerformanceMonitoring() {
+    this.performance.start({ analytics: this.analytics });
+
+    this.listen(this.document, 'visibilitychange', () => {
+      if (this.document.visibilityState === 'hidden') {
+        this.performance.flush();
+      }
     });
-    document.dispatchEvent(event);
+    this.listen(this.window, 'pagehide', () => this.performance.flush());
+
+    const { debugParam, debugStorageKey } = this.config.performance;
+    const requested = new URLSearchParams(this.window.location.search).get(debugParam);
+    let enabled = requested === '1';
+    if (requested === null) {
+      try {
+        enabled = this.window.sessionStorage.getItem(debugStorageKey) === '1';
+      } catch (error) {
+        // 存储不可用时仅由地址参数决定
+      }
+    }
+    this.setDebugPanel(enabled, { persist: requested !== null });
+  }
+
+  /**
+   * 显示或隐藏性能调试面板；persist 为 true 时在本次会话中记住选择
+   */
+  setDebugPanel(visible, { persist = true } = {}) {
+    if (persist) {
+      try {
+        const { sessionStorage } = this.window;
+        const key = this.config.performance.debugStorageKey;
+        visible ? sessionStorage.setItem(key, '1') : sessionStorage.removeItem(key);
+      } catch (error) {
+        // 存储不可用时仅在当前页面生效
+      }
+    }
+
+    if (visible && !this.debugPanel) {
+      const element = this.document.createElement('aside');
+      element.className = 'debug-panel';
+      element.setAttribute('aria-label', this.t('debug.title'));
+      this.host.appendChild(element);
+
+      // 指标变化频繁，合并到下一帧再渲染
+      let frame = null;
+      const unsubscribe = this.performance.subscribe(() => {
+        if (frame) return;
+        frame = this.window.requestAnimationFrame(() => {
+          frame = null;
+          this.renderDebugPanel();
+        });
+      });
+      this.debugPanel = {
+        element,
+        dispose: () => {
+          unsubscribe();
+          this.window.cancelAnimationFrame(frame);
+          element.remove();
+        }
+      };
+      this.renderDebugPanel();
+    } else if (!visible && this.debugPanel) {
+      this.debugPanel.dispose();
+      this.debugPanel = null;
+    }
+  }
+
+  /**
+   * 调试面板内容：Web Vitals、当前路由、观察者与钩子数量、最近一次页面切换的各阶段耗时
+   */
+  renderDebugPanel() {
+    if (!this.debugPanel) return;
+
+    const { metrics, navigations, observers } = this.performance;
+    const format = (name, value) => (name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`);
+    const intersectionObservers = [this.animationObserver, this.imageObserver].filter(Boolean).length;
+    const hooks = [...this.listeners.values()].reduce((count, handlers) => count + handlers.size, 0);
+    const [last] = navigations;
+
+    this.debugPanel.element.setAttribute('aria-label', this.t('debug.title'));
+    patchDOM(this.debugPanel.element, html`
+      <div class="debug-panel-header">
+        <strong>${this.t('debug.title')}</strong>
+        <button type="button" class="debug-panel-close" data-action="close-debug" aria-label="${this.t('debug.close')}">
+          <i class="fas fa-xmark" aria-hidden="true"></i>
+        </button>
+      </div>
+      <dl class="debug-panel-metrics">
+        ${Object.keys(PerformanceMonitor.thresholds).map(name => {
+          const metric = metrics[name];
+          return html`
+            <div class="debug-metric" ${attrs({ 'data-rating': metric && metric.rating })}>
+              <dt>${name}</dt>
+              <dd>${metric ? format(name, metric.value) : '—'}</dd>
+            </div>
+          `;
+        })}
+      </dl>
+      <dl class="debug-panel-details">
+        <dt>${this.t('debug.route')}</dt>
+        <dd><code>${this.currentPage}</code></dd>
+        <dt>${this.t('debug.observers')}</dt>
+        <dd>PerformanceObserver ${observers.length} · IntersectionObserver ${intersectionObservers}</dd>
+        <dt>${this.t('debug.hooks')}</dt>
+        <dd>${hooks}</dd>
+      </dl>
+      ${last ? html`
+        <p class="debug-panel-heading">${this.t('debug.lastNavigation')}: <code>${last.route}</code> ${Math.round(last.total)} ms</p>
+        <ul class="debug-panel-phases">
+          ${Object.entries(last.phases).map(([phase, duration]) => html`<li>${phase} ${Math.round(duration)} ms</li>`)}
+        </ul>
+      ` : ''}
+      <p class="debug-panel-heading">${this.t('debug.handle')}: <code>window.app</code></p>
+    `);
   }
 
   /**
@@ -896,10 +6452,9 @@ class ModernWebApp {
     this.setupLazyLoading();
     
     // 防抖处理窗口大小变化
-    let resizeTimer;
-    window.addEventListener('resize', () => {
-      clearTimeout(resizeTimer);
-      resizeTimer = setTimeout(() => {
+    this.listen(this.window, 'resize', () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => {
         this.handleResize();
       }, 250);
     }, { passive: true });
@@ -910,39 +6465,40 @@ class ModernWebApp {
    */
   preloadCriticalResources() {
     // 预加载字体
-    const fontLink = document.createElement('link');
+    const fontLink = this.document.createElement('link');
     fontLink.rel = 'preload';
     fontLink.href = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
     fontLink.as = 'style';
-    document.head.appendChild(fontLink);
+    this.document.head.appendChild(fontLink);
+    this.preloadLinks.push(fontLink);
   }
 
   /**
    * 设置图片懒加载
    */
   setupLazyLoading() {
-    if ('loading' in HTMLImageElement.prototype) {
+    if ('loading' in this.window.HTMLImageElement.prototype) {
       // 浏览器原生懒加载
-      document.querySelectorAll('img').forEach(img => {
+      this.root.querySelectorAll('img').forEach(img => {
         img.loading = 'lazy';
       });
     } else {
       // 降级方案：使用IntersectionObserver
-      const imageObserver = new IntersectionObserver((entries) => {
+      this.imageObserver = new this.window.IntersectionObserver((entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
             const img = entry.target;
             if (img.dataset.src) {
               img.src = img.dataset.src;
               img.removeAttribute('data-src');
-              imageObserver.unobserve(img);
+              this.imageObserver.unobserve(img);
             }
           }
         });
       });
       
-      document.querySelectorAll('img[data-src]').forEach(img => {
-        imageObserver.observe(img);
+      this.root.querySelectorAll('img[data-src]').forEach(img => {
+        this.imageObserver.observe(img);
       });
     }
   }
@@ -951,68 +6507,69 @@ class ModernWebApp {
    * 处理窗口大小变化
    */
   handleResize() {
-    // 关闭移动端菜单（如果打开的话）
-    this.closeMobileMenu();
+    // 切换到桌面布局时关闭移动端菜单（移动端地址栏收起也会触发 resize）
+    if (this.window.matchMedia('(min-width: 768px)').matches) {
+      this.closeMobileMenu();
+    }
     
     // 重新计算布局相关的内容
     console.log('Window resized');
   }
 }
 
-// 初始化应用
-const app = new ModernWebApp();
+if (typeof module !== 'undefined' && module.exports) {
+  // 作为模块加载（scripts/prerender.js、测试或嵌入）：只导出，由调用方创建实例并调用 start()
+  module.exports = { APP_CONFIG, MESSAGES, Router, ContentStore, Markdown, ModernWebApp, escapeHTML, html, trusted, attrs };
+} else if (document.currentScript && document.currentScript.hasAttribute('data-manual-start')) {
+  // <script src="script.js" data-manual-start>：只导出，由宿主页面 new ModernWebApp({ root, routes, config }).start()
+  window.ModernWebApp = ModernWebApp;
+} else {
+  // 初始化应用
+  const app = new ModernWebApp().start();
 
-// 导出到全局作用域（用于调试）
-window.app = app;
+  // 导出到全局作用域（用于调试）
+  window.app = app;
 
-// 添加一些有用的工具函数
-window.utils = {
-  // 防抖函数
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
+  // 添加一些有用的工具函数
+  window.utils = {
+    // 防抖函数
+    debounce(func, wait) {
+      let timeout;
+      return function executedFunction(...args) {
+        const later = () => {
+          clearTimeout(timeout);
+          func(...args);
+        };
         clearTimeout(timeout);
-        func(...args);
+        timeout = setTimeout(later, wait);
       };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  },
-  
-  // 节流函数
-  throttle(func, limit) {
-    let inThrottle;
-    return function() {
-      const args = arguments;
-      const context = this;
-      if (!inThrottle) {
-        func.apply(context, args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
-      }
-    };
-  },
-  
-  // 检查元素是否在视口中
-  isInViewport(element) {
-    const rect = element.getBoundingClientRect();
-    return (
-      rect.top >= 0 &&
-      rect.left >= 0 &&
-      rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-      rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-    );
-  }
-};
+    },
 
-// 全局错误处理
-window.addEventListener('error', (event) => {
-  console.error('Global error:', event.error);
-});
+    // 节流函数
+    throttle(func, limit) {
+      let inThrottle;
+      return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+          func.apply(context, args);
+          inThrottle = true;
+          setTimeout(() => inThrottle = false, limit);
+        }
+      };
+    },
 
-window.addEventListener('unhandledrejection', (event) => {
-  console.error('Unhandled promise rejection:', event.reason);
-});
+    // 检查元素是否在视口中
+    isInViewport(element) {
+      const rect = element.getBoundingClientRect();
+      return (
+        rect.top >= 0 &&
+        rect.left >= 0 &&
+        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+      );
+    }
+  };
 
-console.log('🎨 Modern Web App with Apple/Google design system loaded');
\ No newline at end of file
+  console.log('🎨 Modern Web App with Apple/Google design system loaded');
+}
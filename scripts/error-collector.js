@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * 本地错误收集服务
+ * 接收 script.js 中 ErrorReporter 发送的错误报告并输出到控制台，用于在本地调试错误上报。
+ * 将 APP_CONFIG.errorReporting.endpoint 设为 http://localhost:8787/errors 后访问站点即可。
+ *
+ * 用法：node scripts/error-collector.js [--port 8787]
+ */
+const http = require('http');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const options = { port: 8787 };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === '--port') {
+      options.port = Number(argv[++index]);
+    } else {
+      throw new Error(`Unknown argument: ${argv[index]}`);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port requires a port number');
+  }
+  return options;
+}
+
+/**
+ * 读取请求体
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 输出一批错误报告
+ */
+function printReport({ errors = [], breadcrumbs = [], userAgent, sentAt }) {
+  console.log(`\n${sentAt} · ${userAgent}`);
+  errors.forEach(({ name, message, source, route, url, count, stack }) => {
+    console.log(`✗ [${source}] ${name}: ${message} (route: ${route}, ×${count})`);
+    console.log(`  ${url}`);
+    if (stack) console.log(stack.split('\n').map(line => `    ${line.trim()}`).join('\n'));
+  });
+  if (breadcrumbs.length) {
+    console.log(`  breadcrumbs: ${breadcrumbs.map(crumb => crumb.route).join(' → ')}`);
+  }
+}
+
+function main() {
+  const { port } = parseArgs(process.argv.slice(2));
+
+  const server = http.createServer(async (request, response) => {
+    // sendBeacon 以纯文本发送，无需预检；允许跨域以便站点运行在其他端口
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+    if (request.method !== 'POST' || request.url !== '/errors') {
+      response.writeHead(404).end();
+      return;
+    }
+
+    try {
+      printReport(JSON.parse(await readBody(request)));
+      response.writeHead(204).end();
+    } catch (error) {
+      console.warn('Invalid error report:', error.message);
+      response.writeHead(400).end();
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Collecting error reports on http://localhost:${port}/errors`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error collector failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * 预渲染 / 静态站点生成
+ * 复用 script.js 中的路由表与页面渲染函数，为每种语言的每个路由生成完整的 HTML
+ * （about/index.html、en/projects/index.html ...），并输出 sitemap.xml 与 robots.txt。
+ * 浏览器加载预渲染页面后直接在现有内容上挂载交互，不再重新渲染。
+ *
+ * 用法：node scripts/prerender.js [--out dist]
+ * 输出目录同时包含站点的静态资源，可直接部署
+ */
+const fs = require('fs');
+const path = require('path');
+const { APP_CONFIG, ContentStore, ModernWebApp, escapeHTML } = require('../script.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// 原样复制到输出目录的静态资源
+const STATIC_ASSETS = [
+  '404.html',
+  'script.js',
+  'styles.css',
+  'print.css',
+  'sw.js',
+  'manifest.webmanifest',
+  'content',
+  'icons',
+  'images'
+];
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const options = { out: 'dist' };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === '--out') {
+      options.out = argv[++index];
+    } else {
+      throw new Error(`Unknown argument: ${argv[index]}`);
+    }
+  }
+  if (!options.out) {
+    throw new Error('--out requires a directory');
+  }
+  return options;
+}
+
+/**
+ * 从本地文件读取内容，返回与 fetch 相同形态的响应
+ */
+async function readContent(url) {
+  const file = path.join(ROOT, decodeURIComponent(url));
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404 };
+  }
+
+  const body = fs.readFileSync(file, 'utf8');
+  return {
+    ok: true,
+    status: 200,
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * 创建指定语言的应用实例（不调用 init，不接触 DOM）
+ */
+function createApp(locale) {
+  const app = new ModernWebApp();
+  app.i18n.locale = locale;
+  app.content = new ContentStore(APP_CONFIG.content.baseUrl, APP_CONFIG.i18n.defaultLocale, { request: readContent });
+  app.content.locale = locale;
+  return app;
+}
+
+/**
+ * 枚举需要生成的页面：无参数路由各一个，带参数路由由 entries() 列出
+ */
+async function collectPages(app) {
+  const pages = [];
+  for (const route of app.router.routes) {
+    if (!route.keys.length) {
+      pages.push({ route, params: {} });
+    } else if (route.entries) {
+      const entries = await route.entries();
+      entries.forEach(params => pages.push({ route, params }));
+    }
+  }
+  return pages;
+}
+
+/**
+ * 为 data-page 链接填充真实地址（对应浏览器端的 syncLinkHrefs）
+ */
+function syncLinkHrefs(html, app) {
+  return html.replace(/<a\b[^>]*\bdata-page="([^"]+)"[^>]*>/g, (tag, page) => {
+    const paramsAttribute = /\bdata-params="([^"]*)"/.exec(tag);
+    const params = Object.fromEntries(new URLSearchParams(paramsAttribute ? paramsAttribute[1].replace(/&amp;/g, '&') : ''));
+    const href = `href="${escapeHTML(app.routeHref(page, params))}"`;
+    return /\bhref="[^"]*"/.test(tag) ? tag.replace(/\bhref="[^"]*"/, href) : tag.replace(/^<a\b/, `<a ${href}`);
+  });
+}
+
+/**
+ * 翻译模板中带 data-i18n / data-i18n-label 的静态文案（对应浏览器端的 applyLocale）
+ */
+function localizeTemplate(html, app) {
+  return html
+    .replace(/(<(\w+)\b[^>]*\bdata-i18n="([\w.]+)"[^>]*>)[^<]*(<\/\2>)/g, (match, open, tag, key, close) => {
+      return `${open}${escapeHTML(app.t(key))}${close}`;
+    })
+    .replace(/<[^>]*\bdata-i18n-label="([\w.]+)"[^>]*>/g, (tag, key) => {
+      return tag.replace(/\baria-label="[^"]*"/, `aria-label="${escapeHTML(app.t(key))}"`);
+    });
+}
+
+/**
+ * 生成 <head> 中的 SEO 标签，替换模板中 <!-- SEO 优化 --> 至 <!-- 可安装应用清单 --> 之间的内容
+ */
+function renderHeadTags(meta, alternates, keywords) {
+  const lines = ['<!-- SEO 优化 -->'];
+  meta.tags
+    .filter(([attribute, key]) => attribute === 'name' && !key.startsWith('twitter:'))
+    .forEach(tag => lines.push(renderMetaTag(tag)));
+  if (keywords) lines.push(keywords);
+  lines.push(`<link rel="canonical" href="${escapeHTML(meta.canonical)}">`, '');
+
+  lines.push('<!-- Open Graph -->');
+  meta.tags.filter(([attribute]) => attribute === 'property').forEach(tag => lines.push(renderMetaTag(tag)));
+  lines.push('', '<!-- Twitter 卡片 -->');
+  meta.tags.filter(([, key]) => key.startsWith('twitter:')).forEach(tag => lines.push(renderMetaTag(tag)));
+
+  if (meta.structuredData) {
+    // 转义 <，避免内容中的 </script> 提前结束标签
+    const json = JSON.stringify(meta.structuredData).replace(/</g, '\\u003c');
+    lines.push('', '<!-- 结构化数据 -->', `<script type="application/ld+json">${json}</script>`);
+  }
+
+  lines.push('', '<!-- 多语言版本 -->');
+  alternates.forEach(({ hreflang, href }) => {
+    lines.push(`<link rel="alternate" hreflang="${hreflang}" href="${escapeHTML(href)}">`);
+  });
+
+  return lines.filter(line => line !== null).map(line => (line ? `  ${line}` : '  ')).join('\n') + '\n  \n  ';
+}
+
+/**
+ * 单个 <meta> 标签，内容为空时省略
+ */
+function renderMetaTag([attribute, key, content]) {
+  return content ? `<meta ${attribute}="${key}" content="${escapeHTML(content)}">` : null;
+}
+
+/**
+ * 将页面内容与元数据写入 index.html 模板
+ */
+function renderDocument(template, app, { meta, content, localizedPath, alternates }) {
+  const seoStart = template.indexOf('<!-- SEO 优化 -->');
+  const seoEnd = template.indexOf('<!-- 可安装应用清单 -->');
+  if (seoStart === -1 || seoEnd === -1) {
+    throw new Error('index.html is missing the <!-- SEO 优化 --> / <!-- 可安装应用清单 --> markers');
+  }
+
+  const keywords = (/<meta name="keywords"[^>]*>/.exec(template.slice(seoStart, seoEnd)) || [null])[0];
+  let html = template.slice(0, seoStart) + renderHeadTags(meta, alternates, keywords).trimStart() + template.slice(seoEnd);
+
+  html = html
+    .replace(/<html lang="[^"]*">/, `<html lang="${app.i18n.locale}">`)
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHTML(meta.title)}</title>`)
+    .replace(/(<main id="main-content"[^>]*?)>[\s\S]*<\/main>/, (match, open) => {
+      return `${open} data-prerendered="${escapeHTML(localizedPath)}">\n${content}\n  </main>`;
+    });
+
+  return syncLinkHrefs(localizeTemplate(html, app), app);
+}
+
+/**
+ * 将语言化的路由路径映射为输出文件：/ → index.html，/en/about → en/about/index.html
+ */
+function outputFile(out, localizedPath) {
+  const segments = localizedPath.split('/').filter(Boolean).map(decodeURIComponent);
+  return path.join(out, ...segments, 'index.html');
+}
+
+/**
+ * sitemap.xml：每个语言版本一条记录，附带 hreflang 备用链接
+ */
+function renderSitemap(entries) {
+  const urls = entries.map(({ canonical, alternates, lastmod }) => {
+    const lines = [`    <loc>${escapeHTML(canonical)}</loc>`];
+    if (lastmod) lines.push(`    <lastmod>${escapeHTML(lastmod)}</lastmod>`);
+    alternates.forEach(({ hreflang, href }) => {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeHTML(href)}"/>`);
+    });
+    return `  <url>\n${lines.join('\n')}\n  </url>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * robots.txt
+ */
+function renderRobots() {
+  const sitemap = new URL('/sitemap.xml', APP_CONFIG.seo.siteUrl).href;
+  return `User-agent: *\nAllow: /\n\nSitemap: ${sitemap}\n`;
+}
+
+/**
+ * 写入文件，按需创建目录
+ */
+function writeFile(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+async function main() {
+  const { out: outOption } = parseArgs(process.argv.slice(2));
+  const out = path.resolve(ROOT, outOption);
+  const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const sitemap = [];
+
+  fs.rmSync(out, { recursive: true, force: true });
+  STATIC_ASSETS.forEach(asset => {
+    fs.cpSync(path.join(ROOT, asset), path.join(out, asset), { recursive: true });
+  });
+
+  for (const locale of APP_CONFIG.i18n.locales) {
+    const app = createApp(locale);
+
+    for (const { route, params } of await collectPages(app)) {
+      const data = route.load ? await route.load(params, {}) : null;
+      const content = route.render(params, data, new URLSearchParams());
+      if (content == null) {
+        throw new Error(`Route "${route.name}" rendered nothing for ${JSON.stringify(params)}`);
+      }
+
+      const routePath = app.router.buildPath(route.name, params);
+      const localizedPath = app.localizePath(routePath);
+      const meta = app.getMeta(route, params, data);
+      const alternates = app.getAlternateLinks(routePath);
+      const file = outputFile(out, localizedPath);
+
+      writeFile(file, renderDocument(template, app, { meta, content, localizedPath, alternates }));
+      console.log(`✓ ${localizedPath} → ${path.relative(ROOT, file)}`);
+
+      const { structuredData } = meta;
+      const lastmod = structuredData && (structuredData.dateModified || structuredData.datePublished);
+      sitemap.push({ canonical: meta.canonical, alternates, lastmod });
+    }
+  }
+
+  writeFile(path.join(out, 'sitemap.xml'), renderSitemap(sitemap));
+  writeFile(path.join(out, 'robots.txt'), renderRobots());
+  console.log(`Prerendered ${sitemap.length} pages into ${path.relative(ROOT, out) || '.'}`);
+}
+
+main().catch(error => {
+  console.error('Prerender failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,156 @@
+/**
+ * Service Worker：离线支持
+ *
+ * - 应用外壳（HTML/CSS/JS、清单、图标）与核心内容在安装时预缓存
+ * - 外壳与 content/ 下的页面内容网络优先，在线时总是取得最新版本并刷新缓存，
+ *   离线时回退到缓存；均不可用时返回 503，由页面显示离线提示
+ * - 字体与图标库（Google Fonts、Font Awesome CDN）使用 stale-while-revalidate
+ * - 页面导航在线时直接请求网络（包括预渲染页面），离线时返回缓存的 index.html，由前端路由渲染
+ *
+ * 修改预缓存列表或本文件时同时修改 VERSION：新的 Service Worker 会进入等待状态，
+ * 页面提示访客刷新后生效，旧版本的缓存在启用时删除
+ */
+const VERSION = 'v2';
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const CONTENT_CACHE = `content-${VERSION}`;
+const RUNTIME_CACHE = `runtime-${VERSION}`;
+
+const SHELL_ASSETS = [
+  '/',
+  '/index.html',
+  '/styles.css',
+  '/print.css',
+  '/script.js',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-maskable.svg'
+];
+
+// 默认语言的核心内容，保证首次安装后主要页面即可离线浏览
+const CONTENT_ASSETS = [
+  '/content/about.json',
+  '/content/about.md',
+  '/content/resume.json',
+  '/content/projects.json',
+  '/content/contact.json',
+  '/content/blog/index.json'
+];
+
+// 使用 stale-while-revalidate 的第三方资源
+const RUNTIME_HOSTS = [
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'cdnjs.cloudflare.com'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)),
+    caches.open(CONTENT_CACHE).then(cache => cache.addAll(CONTENT_ASSETS))
+  ]));
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// 页面确认更新后立即启用新版本
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && isAppRoute(url)) {
+    event.respondWith(handleNavigation(request));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  } else if (url.origin !== self.location.origin) {
+    // 其他跨域请求（如 GitHub API）不经过缓存
+  } else if (url.pathname.startsWith('/content/')) {
+    event.respondWith(networkFirst(request, CONTENT_CACHE));
+  } else if (url.pathname.startsWith('/images/')) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  } else {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+/**
+ * 是否为前端路由地址（无扩展名或 .html），直接打开的静态文件不使用应用外壳
+ */
+function isAppRoute(url) {
+  return url.origin === self.location.origin && !/\.(?!html$)[^/]+$/.test(url.pathname);
+}
+
+/**
+ * 页面导航：请求网络，访问首页时顺便刷新缓存的应用外壳；离线时返回缓存的外壳
+ */
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    const { pathname } = new URL(request.url);
+    if (response.ok && !response.redirected && (pathname === '/' || pathname === '/index.html')) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match('/index.html', { cacheName: SHELL_CACHE })) || offlineResponse();
+  }
+}
+
+/**
+ * 网络优先，失败时回退到缓存
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || offlineResponse();
+  }
+}
+
+/**
+ * 立即返回缓存，同时在后台更新缓存
+ * 跨域资源为 opaque 响应（status 为 0），同样写入缓存
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || offlineResponse());
+
+  return cached || update;
+}
+
+/**
+ * 离线且无缓存时的响应
+ */
+function offlineResponse() {
+  return new Response('', { status: 503, statusText: 'Offline' });
+}
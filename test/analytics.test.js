@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+test('revoking consent unloads GA4 and stops sending', () => {
+  const { window } = createWindow('/');
+  const { document } = window;
+  const Analytics = window.eval('Analytics');
+  document.cookie = '_ga=GA1.1.123.456; path=/';
+  document.cookie = '_ga_TEST=GS1.1.789; path=/';
+  document.cookie = 'locale=en; path=/';
+
+  const analytics = new Analytics({
+    adapter: 'ga4',
+    consentKey: 'analytics-consent',
+    respectDoNotTrack: false,
+    ga4: { measurementId: 'G-TEST' }
+  });
+  const gtagScripts = () => document.querySelectorAll('script[src^="https://www.googletagmanager.com/"]').length;
+
+  assert.equal(analytics.setConsent(true), true);
+  assert.equal(gtagScripts(), 1);
+  const { dataLayer } = window;
+  analytics.page({ url: 'https://birtne.github.io/', title: 'Birtney666' });
+  const sent = dataLayer.length;
+  assert.equal(sent, 3);
+
+  assert.equal(analytics.setConsent(false), false);
+  assert.equal(window.localStorage.getItem('analytics-consent'), 'denied');
+  assert.equal(analytics.client, null);
+  assert.equal(gtagScripts(), 0);
+  assert.equal(window.gtag, undefined);
+  assert.equal(window.dataLayer, undefined);
+  assert.equal(window['ga-disable-G-TEST'], true);
+  assert.equal(document.cookie, 'locale=en');
+
+  analytics.page({ url: 'https://birtne.github.io/about', title: 'About' });
+  analytics.event('form_submit', { form: 'contact' });
+  assert.equal(dataLayer.length, sent);
+
+  window.close();
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, startApp } = require('./helpers');
+
+// 在仓库文章之外补充两篇没有有效日期的文章，并放在 index.json 的最前面
+const files = {
+  '/content/blog/index.json': JSON.stringify({
+    posts: ['undated-notes', 'invalid-date', 'spa-routing-without-framework', 'css-custom-properties-design-tokens']
+  }),
+  '/content/blog/undated-notes.md': '---\ntitle: 未注明日期的笔记\ntags: [CSS]\n---\n\n正文\n',
+  '/content/blog/invalid-date.md': '---\ntitle: 日期写错的文章\ndate: someday\ntags: [CSS]\n---\n\n正文\n'
+};
+
+const titles = root => [...root.querySelectorAll('.post-list .card-title')].map(title => title.textContent.trim());
+
+test('posts without a valid date render undated and sort last', async () => {
+  const { window, errors } = createWindow('/blog', { files });
+  const app = await startApp(window);
+  const main = window.document.getElementById('main-content');
+
+  assert.deepEqual(titles(main), ['不用框架实现单页应用路由', '用 CSS 自定义属性搭建设计令牌', '未注明日期的笔记', '日期写错的文章']);
+  const cards = main.querySelectorAll('.post-list article');
+  assert.equal(cards[2].querySelector('time'), null);
+  assert.equal(cards[3].querySelector('time'), null);
+  assert.equal(cards[0].querySelector('time').getAttribute('datetime'), '2024-06-18');
+  assert.deepEqual(errors, []);
+
+  app.destroy();
+  window.close();
+});
+
+test('tag and post pages render when a post has no date', async () => {
+  const { window, errors } = createWindow('/blog', { files });
+  const app = await startApp(window);
+  const main = window.document.getElementById('main-content');
+
+  assert.equal(await app.navigateTo('blog-tag', { tag: 'CSS' }), true);
+  assert.deepEqual(titles(main), ['用 CSS 自定义属性搭建设计令牌', '未注明日期的笔记', '日期写错的文章']);
+
+  assert.equal(await app.navigateTo('blog-post', { slug: 'undated-notes' }), true);
+  assert.equal(main.querySelector('h1').textContent.trim(), '未注明日期的笔记');
+  assert.equal(main.querySelector('.post-meta time'), null);
+  assert.deepEqual(errors, []);
+
+  app.destroy();
+  window.close();
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, startApp } = require('./helpers');
+
+/**
+ * 记录页面脚本注册、仍然有效的事件监听：目标为 window、document 或仍在文档中的元素，
+ * 且未通过 signal 中止或 removeEventListener 移除。jsdom 内部注册的监听不计入
+ */
+function trackListeners(window) {
+  const listeners = new Set();
+  const { addEventListener, removeEventListener } = window.EventTarget.prototype;
+
+  window.EventTarget.prototype.addEventListener = function (type, handler, options) {
+    const entry = { target: this, type, handler };
+    const signal = options && options.signal;
+    // 内联脚本的调用栈位置为页面地址
+    const caller = new Error().stack.split('\n')[2] || '';
+    if (caller.includes(window.location.origin) && (!signal || !signal.aborted)) {
+      listeners.add(entry);
+      if (signal) {
+        addEventListener.call(signal, 'abort', () => listeners.delete(entry));
+      }
+    }
+    return addEventListener.call(this, type, handler, options);
+  };
+  window.EventTarget.prototype.removeEventListener = function (type, handler, options) {
+    listeners.forEach(entry => {
+      if (entry.target === this && entry.type === type && entry.handler === handler) {
+        listeners.delete(entry);
+      }
+    });
+    return removeEventListener.call(this, type, handler, options);
+  };
+
+  return () => [...listeners]
+    .filter(({ target }) => target === window || (target instanceof window.Node && target.isConnected))
+    .map(({ target, type }) => `${type}@${target.nodeName || 'window'}`);
+}
+
+test('an embedded app can be started, destroyed and started again without leftovers', async () => {
+  const { window, errors } = createWindow('/en/about');
+  const { document } = window;
+  const listeners = trackListeners(window);
+  const overlays = () => document.querySelectorAll('.progress-bar, .update-prompt, .consent-banner, .toast, .palette, .debug-panel');
+  const preloads = () => document.head.querySelectorAll('link[rel="preload"]');
+  const baseline = { overlays: overlays().length, preloads: preloads().length, listeners: listeners() };
+
+  // 构造实例不应产生副作用
+  const idle = new window.ModernWebApp({ root: document });
+  assert.equal(idle.lifecycle, null);
+  assert.deepEqual(listeners(), baseline.listeners);
+
+  for (let round = 0; round < 2; round++) {
+    const app = await startApp(window, { config: { analytics: { adapter: 'console', respectDoNotTrack: false } } });
+    assert.equal(app.currentPage, 'about');
+    assert.equal(document.querySelector('#main-content h1').textContent.trim(), 'About Me');
+    assert.ok(document.querySelector('.consent-banner'));
+    assert.equal(preloads().length, baseline.preloads + 1);
+
+    assert.equal(await app.navigateTo('projects'), true);
+    assert.equal(window.location.pathname, '/en/projects');
+    assert.ok(app.projectFilter);
+    assert.equal(await app.navigateTo('about'), true);
+    await app.palette.open();
+    assert.ok(document.querySelector('.palette'));
+
+    app.destroy();
+    assert.equal(app.lifecycle, null);
+    assert.deepEqual(listeners(), baseline.listeners);
+    assert.equal(overlays().length, baseline.overlays);
+    assert.equal(preloads().length, baseline.preloads);
+  }
+
+  assert.deepEqual(errors, []);
+  window.close();
+});
@@ -0,0 +1,102 @@
+/**
+ * 测试辅助：在 jsdom 中打开 index.html，以 data-manual-start 方式加载 script.js（与嵌入宿主页面相同），
+ * 内容文件从仓库目录读取
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const ORIGIN = 'https://birtne.github.io';
+
+/**
+ * 与 fetch 相同形态的响应
+ */
+function response(body) {
+  if (body === undefined) {
+    return { ok: false, status: 404, json: async () => ({}), text: async () => '' };
+  }
+  return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+}
+
+/**
+ * 创建页面窗口并加载 script.js，返回 { window, errors }
+ * files 中的条目（如 { '/content/blog/index.json': '...' }）覆盖或补充仓库中的同名文件；
+ * errors 收集页面输出的 console.error 与 jsdom 错误
+ */
+function createWindow(pathname = '/', { files = {} } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args));
+  virtualConsole.on('jsdomError', error => errors.push([error]));
+
+  const source = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const { window } = new JSDOM(source.replace('<script src="/script.js"></script>', ''), {
+    url: ORIGIN + pathname,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      // jsdom 未实现的浏览器接口
+      window.matchMedia = query => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} });
+      window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+      };
+      window.scrollTo = () => {};
+
+      window.fetch = async (url) => {
+        const { origin, pathname: file } = new URL(url, ORIGIN);
+        if (origin !== ORIGIN) return response();
+        if (file in files) return response(files[file]);
+
+        const local = path.join(ROOT, decodeURIComponent(file));
+        return response(fs.existsSync(local) && fs.statSync(local).isFile() ? fs.readFileSync(local, 'utf8') : undefined);
+      };
+    }
+  });
+
+  const script = window.document.createElement('script');
+  script.setAttribute('data-manual-start', '');
+  script.textContent = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+  window.document.body.appendChild(script);
+
+  return { window, errors };
+}
+
+/**
+ * 等待下一次导航完成，返回 afterNavigate 的详情；导航失败时拒绝
+ */
+function nextNavigation(app) {
+  return new Promise((resolve, reject) => {
+    const offs = [
+      app.on('afterNavigate', event => {
+        offs.forEach(off => off());
+        resolve(event.detail);
+      }),
+      app.on('navigationError', event => {
+        offs.forEach(off => off());
+        reject(event.detail.error);
+      })
+    ];
+  });
+}
+
+/**
+ * 创建应用实例并启动，等待首个页面加载完成
+ * 默认关闭 Service Worker 与 GitHub 仓库动态，避免访问网络
+ */
+async function startApp(window, { config = {}, ...options } = {}) {
+  const app = new window.ModernWebApp({
+    root: window.document,
+    config: { serviceWorker: { enabled: false }, github: { enabled: false }, ...config },
+    ...options
+  });
+  const ready = nextNavigation(app);
+  app.start();
+  await ready;
+  return app;
+}
+
+module.exports = { createWindow, nextNavigation, startApp };